@@ -0,0 +1,86 @@
+// Activity model definition using Mongoose
+// Append-only log of task changes: who changed which fields of which task, from what to what.
+// Entries outlive the task itself, so the task title is copied into each entry.
+
+const mongoose = require("mongoose");
+
+// One changed field with its old and new value (null when the field was empty)
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  { _id: false }
+);
+
+// Define the structure (schema) of an Activity document in MongoDB
+const activitySchema = new mongoose.Schema(
+  {
+    taskId: {
+      // Reference to the Task that was changed (it may have been deleted since)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true
+    },
+    taskTitle: {
+      type: String
+    },
+    taskOwnerId: {
+      // Creator of the task (Task.userId), who can always see its history
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    projectId: {
+      // Project of the task (not set for personal tasks)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project"
+    },
+    userId: {
+      // Reference to the User who made the change
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    action: {
+      // Only allow one of: "create", "update", "status", "reorder", "delete" (moved to the trash),
+      // "restore" (taken out of the trash), "purge" (deleted permanently)
+      type: String,
+      enum: ["create", "update", "status", "reorder", "delete", "restore", "purge"],
+      required: true
+    },
+    changes: {
+      type: [changeSchema],
+      default: []
+    }
+  },
+  {
+    // Entries are never updated, so only the creation time is kept
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+activitySchema.index({ taskId: 1, createdAt: -1 });
+activitySchema.index({ userId: 1, createdAt: -1 });
+activitySchema.index({ projectId: 1, createdAt: -1 });
+
+// The log is append-only: refuse to change an entry once it has been written
+activitySchema.pre("save", function () {
+  if (!this.isNew) {
+    throw new Error("Activity entries cannot be changed");
+  }
+});
+
+activitySchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"], function () {
+  throw new Error("Activity entries cannot be changed");
+});
+
+// Export the Activity model so it can be used in routes and other files
+module.exports = mongoose.model("Activity", activitySchema);
@@ -0,0 +1,58 @@
+// Attachment model definition using Mongoose
+// Metadata of a file attached to a task. The file itself is kept on local disk or in
+// MongoDB GridFS (see ATTACHMENT_STORAGE in .env.example); "storage" records which one,
+// so files stay readable after the setting changes.
+
+const mongoose = require("mongoose");
+
+// Define the structure (schema) of an Attachment document in MongoDB
+const attachmentSchema = new mongoose.Schema(
+  {
+    taskId: {
+      // Reference to the Task the file is attached to
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true
+    },
+    userId: {
+      // Reference to the User who uploaded the file
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    fileName: {
+      // Original file name, used for downloads
+      type: String,
+      required: true
+    },
+    mimeType: {
+      type: String,
+      default: "application/octet-stream"
+    },
+    size: {
+      // File size in bytes
+      type: Number,
+      required: true
+    },
+    storage: {
+      // Only allow one of: "disk", "gridfs"
+      type: String,
+      enum: ["disk", "gridfs"],
+      required: true
+    },
+    storageKey: {
+      // File name inside the upload folder, or the GridFS file id
+      type: String,
+      required: true
+    }
+  },
+  {
+    // Add createdAt and updatedAt timestamps automatically
+    timestamps: true
+  }
+);
+
+attachmentSchema.index({ taskId: 1, createdAt: 1 });
+
+// Export the Attachment model so it can be used in routes and other files
+module.exports = mongoose.model("Attachment", attachmentSchema);
@@ -0,0 +1,29 @@
+// Board column sub-document shared by the User model (personal board) and the
+// Project model (shared board). Columns are kept in display order in the array.
+// Tasks in a "done" column have status "done"; every other column means "pending".
+
+const mongoose = require("mongoose");
+
+const boardColumnSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 40
+  },
+  isDone: {
+    // Moving a task into this column marks it done
+    type: Boolean,
+    default: false
+  }
+});
+
+// Columns a new board starts with
+const DEFAULT_BOARD_COLUMNS = [
+  { name: "To do", isDone: false },
+  { name: "In progress", isDone: false },
+  { name: "Review", isDone: false },
+  { name: "Done", isDone: true }
+];
+
+module.exports = { boardColumnSchema, DEFAULT_BOARD_COLUMNS };
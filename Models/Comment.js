@@ -0,0 +1,50 @@
+// Comment model definition using Mongoose
+// Discussion on a task. Comments are threaded one level deep: a reply points to the top-level
+// comment it belongs to (parentId), and replies to replies join the same thread.
+
+const mongoose = require("mongoose");
+
+// Define the structure (schema) of a Comment document in MongoDB
+const commentSchema = new mongoose.Schema(
+  {
+    taskId: {
+      // Reference to the Task being discussed
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true
+    },
+    userId: {
+      // Reference to the User who wrote the comment
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    parentId: {
+      // Top-level comment this is a reply to; not set for top-level comments
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment"
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: 5000
+    },
+    editedAt: {
+      // Set when the author edits the comment
+      type: Date
+    },
+    deletedAt: {
+      // A deleted comment that still has replies stays as a placeholder with an empty body
+      type: Date
+    }
+  },
+  {
+    // Add createdAt and updatedAt timestamps automatically
+    timestamps: true
+  }
+);
+
+commentSchema.index({ taskId: 1, createdAt: 1 });
+
+// Export the Comment model so it can be used in routes and other files
+module.exports = mongoose.model("Comment", commentSchema);
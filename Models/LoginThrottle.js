@@ -0,0 +1,33 @@
+// LoginThrottle model definition using Mongoose
+// Counts failed logins for one username or one IP address. Too many failures within the window lock
+// the username or address out for a while; the record removes itself once both have passed.
+
+const mongoose = require("mongoose");
+
+// Define the structure (schema) of a LoginThrottle document in MongoDB
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    // "user:<lowercase username>" or "ip:<address>"
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    // Failed password or two-factor attempts in the current window
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    // End of the current window (or of the lockout, if later)
+    type: Date,
+    required: true
+  }
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the LoginThrottle model so it can be used in routes and other files
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema);
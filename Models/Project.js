@@ -0,0 +1,99 @@
+// Project model definition using Mongoose
+// A project (workspace) is a shared task list. Members have one of three roles:
+// - owner: manage members, invitations and the project itself, plus everything an editor can do
+// - editor: create, edit, reorder and delete tasks
+// - viewer: read-only access to the project's tasks
+
+const mongoose = require("mongoose");
+const { boardColumnSchema } = require("./BoardColumn");
+
+const PROJECT_ROLES = ["owner", "editor", "viewer"];
+
+// Higher rank means more permissions; used to check "at least editor" style rules
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const memberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    role: {
+      type: String,
+      enum: PROJECT_ROLES,
+      default: "editor"
+    }
+  },
+  { _id: false }
+);
+
+// Pending invitation; the invited user becomes a member once they accept it
+const invitationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  role: {
+    type: String,
+    enum: PROJECT_ROLES,
+    default: "editor"
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Define the structure (schema) of a Project document in MongoDB
+const projectSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    members: {
+      type: [memberSchema],
+      default: []
+    },
+    invitations: {
+      type: [invitationSchema],
+      default: []
+    },
+    boardColumns: {
+      // Kanban board columns for the project's tasks (empty until first used)
+      type: [boardColumnSchema],
+      default: []
+    }
+  },
+  {
+    // Add createdAt and updatedAt timestamps automatically
+    timestamps: true
+  }
+);
+
+projectSchema.index({ "members.userId": 1 });
+projectSchema.index({ "invitations.userId": 1 });
+
+// Role of the given user in this project, or null if they are not a member
+projectSchema.methods.roleOf = function (userId) {
+  // userId may be populated with the User document, so compare by _id
+  const member = this.members.find((m) => m.userId._id.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// True if "role" grants at least the permissions of "minRole"
+projectSchema.statics.hasRole = function (role, minRole) {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minRole];
+};
+
+projectSchema.statics.ROLES = PROJECT_ROLES;
+
+// Export the Project model so it can be used in routes and other files
+module.exports = mongoose.model("Project", projectSchema);
@@ -0,0 +1,54 @@
+// Reminder model definition using Mongoose
+// One document per reminder email sent, so the scheduler never sends the same reminder twice,
+// even after a restart. The unique "key" identifies the reminder: which task and deadline it
+// was for and which lead time (or the day, for daily digests).
+
+const mongoose = require("mongoose");
+
+// Define the structure (schema) of a Reminder document in MongoDB
+const reminderSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    userId: {
+      // Reference to the User the reminder was sent to
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    taskId: {
+      // Reference to the Task the reminder is about (not set for digests)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task"
+    },
+    kind: {
+      // Only allow one of: "upcoming" (lead time before the deadline), "overdue", "digest"
+      type: String,
+      enum: ["upcoming", "overdue", "digest"],
+      required: true
+    },
+    leadMinutes: {
+      // Lead time for "upcoming" reminders
+      type: Number
+    },
+    deadline: {
+      // Deadline of the task when the reminder was sent; moving the deadline allows new reminders
+      type: Date
+    },
+    subject: {
+      type: String
+    }
+  },
+  {
+    // createdAt doubles as the time the email was sent
+    timestamps: true
+  }
+);
+
+reminderSchema.index({ userId: 1, createdAt: -1 });
+
+// Export the Reminder model so it can be used in routes and other files
+module.exports = mongoose.model("Reminder", reminderSchema);
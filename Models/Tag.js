@@ -0,0 +1,39 @@
+// Tag model definition using Mongoose
+// Tags are user-defined labels with a color. A task can carry many tags and a tag
+// can be used on many tasks (Task.tagIds).
+
+const mongoose = require("mongoose");
+
+// Define the structure (schema) of a Tag document in MongoDB
+const tagSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 40
+    },
+    color: {
+      // Hex color such as "#2563eb", used for chips and calendar events
+      type: String,
+      match: /^#[0-9a-fA-F]{6}$/,
+      default: "#6b7280"
+    },
+    userId: {
+      // Reference to the User who created (and manages) this tag
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    }
+  },
+  {
+    // Add createdAt and updatedAt timestamps automatically
+    timestamps: true
+  }
+);
+
+// Tag names are unique per user
+tagSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Export the Tag model so it can be used in routes and other files
+module.exports = mongoose.model("Tag", tagSchema);
@@ -3,6 +3,122 @@
 
 const mongoose = require("mongoose");
 
+// A checklist item inside a task. Items are kept in display order in the array.
+const subtaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  deadline: {
+    type: Date
+  }
+});
+
+// How a recurring task repeats. Each occurrence is its own Task document; when one is
+// marked done the next one is created with the next deadline (see createNextOccurrence).
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      // Only allow one of: "daily", "weekly", "monthly"
+      type: String,
+      enum: ["daily", "weekly", "monthly"],
+      required: true
+    },
+    interval: {
+      // Repeat every N days/weeks/months
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    byWeekday: {
+      // Weekly only: days of the week to repeat on (0 = Sunday ... 6 = Saturday)
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: undefined
+    },
+    monthDay: {
+      // Monthly only: day of the month of the first occurrence, so 31st stays 31st where possible
+      type: Number,
+      min: 1,
+      max: 31
+    },
+    until: {
+      // Optional end date: no occurrence is created after this date
+      type: Date
+    },
+    count: {
+      // Optional total number of occurrences in the series
+      type: Number,
+      min: 1
+    },
+    occurrence: {
+      // 1-based position of this task in the series
+      type: Number,
+      default: 1
+    }
+  },
+  { _id: false }
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Numeric rank of each priority, stored in priorityRank so that sorting by priority is not alphabetical
+const PRIORITY_RANKS = { low: 1, medium: 2, high: 3 };
+
+// Date of the occurrence following "current" (all calculations in UTC, matching date-only deadlines)
+function nextOccurrenceDate(recurrence, current) {
+  const interval = recurrence.interval || 1;
+
+  if (recurrence.frequency === "daily") {
+    return new Date(current.getTime() + interval * DAY_MS);
+  }
+
+  if (recurrence.frequency === "weekly") {
+    const weekdays = recurrence.byWeekday || [];
+    if (weekdays.length === 0) {
+      return new Date(current.getTime() + interval * 7 * DAY_MS);
+    }
+    const currentWeekStart = current.getTime() - current.getUTCDay() * DAY_MS;
+    for (let day = 1; day <= interval * 7 + 7; day++) {
+      const candidate = new Date(current.getTime() + day * DAY_MS);
+      const weekStart = candidate.getTime() - candidate.getUTCDay() * DAY_MS;
+      const weeksApart = Math.round((weekStart - currentWeekStart) / (7 * DAY_MS));
+      if (weeksApart % interval === 0 && weekdays.includes(candidate.getUTCDay())) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  if (recurrence.frequency === "monthly") {
+    const monthDay = recurrence.monthDay || current.getUTCDate();
+    const next = new Date(current.getTime());
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + interval);
+    const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    next.setUTCDate(Math.min(monthDay, daysInMonth));
+    return next;
+  }
+
+  return null;
+}
+
+// Next date in the series after "current" at position "occurrence", or null once the series has ended
+function nextDateInSeries(recurrence, current, occurrence) {
+  if (recurrence.count && occurrence >= recurrence.count) {
+    return null;
+  }
+  const next = nextOccurrenceDate(recurrence, current);
+  if (!next || (recurrence.until && next > recurrence.until)) {
+    return null;
+  }
+  return next;
+}
+
 // Define the structure (schema) of a Task document in MongoDB
 const taskSchema = new mongoose.Schema(
   {
@@ -21,6 +137,11 @@ const taskSchema = new mongoose.Schema(
       enum: ["low", "medium", "high"],
       default: "medium"
     },
+    priorityRank: {
+      // PRIORITY_RANKS value of "priority" (low 1, medium 2, high 3), kept in step by the hooks below
+      type: Number,
+      default: PRIORITY_RANKS.medium
+    },
     deadline: {
       type: Date
     },
@@ -30,24 +151,251 @@ const taskSchema = new mongoose.Schema(
       enum: ["pending", "done"],
       default: "pending"
     },
+    completedAt: {
+      // When the task was last marked done (null while pending), kept in step with status below
+      type: Date,
+      default: null
+    },
     order: {
       // Order index for drag-and-drop sorting
       type: Number,
       default: 0
     },
+    columnId: {
+      // Board column (User/Project boardColumns) the task was last placed in
+      type: mongoose.Schema.Types.ObjectId
+    },
+    boardOrder: {
+      // Order index inside its board column
+      type: Number,
+      default: 0
+    },
+    subtasks: {
+      type: [subtaskSchema],
+      default: []
+    },
+    autoCompleteSubtasks: {
+      // When true, the task is marked "done" once every subtask is done
+      type: Boolean,
+      default: false
+    },
+    estimateMinutes: {
+      // Estimated effort in minutes; time actually spent is recorded as TimeEntry documents
+      type: Number,
+      min: 0
+    },
+    recurrence: {
+      // Repeat schedule, or undefined for a one-off task
+      type: recurrenceSchema
+    },
+    seriesId: {
+      // Id of the first task in a recurring series, shared by every occurrence
+      type: mongoose.Schema.Types.ObjectId
+    },
+    nextOccurrenceId: {
+      // Set once the following occurrence has been created, so it is only created once
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task"
+    },
     userId: {
-      // Reference to the User who owns this task (optional for public API)
+      // Reference to the User who created this task (and owns it when it has no project)
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: false
+    },
+    projectId: {
+      // Shared project the task belongs to; personal tasks have no project
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project"
+    },
+    assigneeId: {
+      // User the task is assigned to (may differ from its creator); they can see and update it
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    tagIds: {
+      // Tags (labels) attached to the task
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Tag" }],
+      default: []
+    },
+    blockedByIds: {
+      // Tasks in the same list that must be done before this one can be marked done
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Task" }],
+      default: []
+    },
+    deletedAt: {
+      // Set when the task is moved to the trash; trashed tasks are purged after a retention period
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      // User who moved the task to the trash
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
     }
   },
   {
     // Add createdAt and updatedAt timestamps automatically
-    timestamps: true
+    timestamps: true,
+    // Include virtuals such as "progress" in JSON sent to the API and the dashboard scripts
+    toJSON: { virtuals: true }
   }
 );
 
+// Find the "assigned to me" list quickly
+taskSchema.index({ assigneeId: 1 });
+
+// Full-text search over title and description (GET /api/tasks?q=...)
+taskSchema.index({ title: "text", description: "text" });
+
+// Tag filters on the dashboard and GET /api/tasks?tag=...
+taskSchema.index({ tagIds: 1 });
+
+// Tasks waiting for a given task (dependency graph)
+taskSchema.index({ blockedByIds: 1 });
+
+// Trash listings and the retention purge
+taskSchema.index({ deletedAt: 1 });
+
+// Trashed tasks are left out of every query unless it is run with .setOptions({ withDeleted: true })
+taskSchema.pre(["find", "findOne", "findOneAndUpdate", "countDocuments"], function () {
+  if (!this.getOptions().withDeleted) {
+    this.where({ deletedAt: null });
+  }
+});
+
+// Keep completedAt in step with status: set when a task becomes done, cleared when it is reopened
+function completionTime(status, completedAt) {
+  return status === "done" ? completedAt || new Date() : null;
+}
+
+taskSchema.pre("save", function () {
+  if (this.isNew || this.isModified("status")) {
+    this.completedAt = completionTime(this.status, this.completedAt);
+  }
+  if (this.isNew || this.isModified("priority")) {
+    this.priorityRank = PRIORITY_RANKS[this.priority];
+  }
+});
+
+taskSchema.pre("insertMany", function (next, docs) {
+  docs.forEach((doc) => {
+    doc.completedAt = completionTime(doc.status, doc.completedAt);
+    doc.priorityRank = PRIORITY_RANKS[doc.priority || "medium"];
+  });
+  next();
+});
+
+// Updates that set a priority also set its rank
+taskSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+  const update = this.getUpdate() || {};
+  const priority = update.priority !== undefined ? update.priority : update.$set && update.$set.priority;
+  if (priority !== undefined) {
+    this.set("priorityRank", PRIORITY_RANKS[priority]);
+  }
+});
+
+// Updates that set a status: tasks that were not done yet are stamped before the update runs,
+// so moving a done task between done columns keeps its original completion time
+taskSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], async function () {
+  const update = this.getUpdate() || {};
+  const status = update.status !== undefined ? update.status : update.$set && update.$set.status;
+  if (status === undefined) {
+    return;
+  }
+  if (status === "done") {
+    await this.model.updateMany({ $and: [this.getFilter(), { status: { $ne: "done" } }] }, { completedAt: new Date() });
+  } else {
+    this.set("completedAt", null);
+  }
+});
+
+// Percentage (0-100) of subtasks that are done, or null when the task has no subtasks
+taskSchema.virtual("progress").get(function () {
+  if (!this.subtasks || this.subtasks.length === 0) {
+    return null;
+  }
+  const doneCount = this.subtasks.filter((subtask) => subtask.done).length;
+  return Math.round((doneCount / this.subtasks.length) * 100);
+});
+
+// True when the task has subtasks and every one of them has been checked off
+taskSchema.methods.allSubtasksDone = function () {
+  return this.subtasks.length > 0 && this.subtasks.every((subtask) => subtask.done);
+};
+
+// True when applySubtaskRollup would mark the task done
+taskSchema.methods.completesBySubtasks = function () {
+  return this.autoCompleteSubtasks && this.status !== "done" && this.allSubtasksDone();
+};
+
+// Mark the task done when auto-complete is on and every subtask has been checked off
+taskSchema.methods.applySubtaskRollup = function () {
+  if (this.completesBySubtasks()) {
+    this.status = "done";
+  }
+};
+
+// Deadlines of the next few occurrences that have not been created yet, for the calendar
+taskSchema.virtual("upcomingOccurrences").get(function () {
+  if (!this.recurrence || !this.deadline || this.nextOccurrenceId) {
+    return [];
+  }
+  const dates = [];
+  let current = this.deadline;
+  let occurrence = this.recurrence.occurrence || 1;
+  while (dates.length < 12) {
+    current = nextDateInSeries(this.recurrence, current, occurrence);
+    if (!current) break;
+    dates.push(current);
+    occurrence++;
+  }
+  return dates;
+});
+
+// Create the next occurrence of a recurring task that has just been marked done.
+// Returns the new task, or null if the task does not repeat, the series has ended
+// or the next occurrence already exists.
+taskSchema.methods.createNextOccurrence = async function () {
+  if (!this.recurrence || !this.deadline || this.nextOccurrenceId) {
+    return null;
+  }
+
+  const occurrence = this.recurrence.occurrence || 1;
+  const nextDeadline = nextDateInSeries(this.recurrence, this.deadline, occurrence);
+  if (!nextDeadline) {
+    return null;
+  }
+
+  const nextTask = await this.constructor.create({
+    title: this.title,
+    description: this.description,
+    priority: this.priority,
+    deadline: nextDeadline,
+    order: this.order,
+    subtasks: this.subtasks.map((subtask) => ({ title: subtask.title })),
+    autoCompleteSubtasks: this.autoCompleteSubtasks,
+    estimateMinutes: this.estimateMinutes,
+    recurrence: { ...this.recurrence.toObject(), occurrence: occurrence + 1 },
+    seriesId: this.seriesId || this._id,
+    userId: this.userId,
+    projectId: this.projectId,
+    assigneeId: this.assigneeId,
+    tagIds: this.tagIds
+  });
+
+  this.nextOccurrenceId = nextTask._id;
+  await this.save();
+  return nextTask;
+};
+
+// Fill in priorityRank on tasks saved before it existed; run once the database is connected
+taskSchema.statics.fillPriorityRanks = async function () {
+  for (const [priority, rank] of Object.entries(PRIORITY_RANKS)) {
+    await this.updateMany({ priority, priorityRank: null }, { $set: { priorityRank: rank } });
+  }
+};
+
 // Export the Task model so it can be used in routes and other files
 module.exports = mongoose.model("Task", taskSchema);
 
@@ -0,0 +1,45 @@
+// TaskImport model definition using Mongoose
+// Holds the rows of an uploaded import file between the preview and its confirmation.
+// Only the id is kept in the session; unconfirmed imports remove themselves after an hour.
+
+const mongoose = require("mongoose");
+
+// Define the structure (schema) of a TaskImport document in MongoDB
+const taskImportSchema = new mongoose.Schema({
+  userId: {
+    // User who uploaded the file; only they can confirm it
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  projectId: {
+    // Project the tasks go into, or none for personal tasks
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Project"
+  },
+  mode: {
+    // "create" adds every row as a new task, "upsert" updates rows whose id matches an existing task
+    type: String,
+    enum: ["create", "upsert"],
+    default: "create"
+  },
+  fileName: {
+    type: String,
+    default: ""
+  },
+  recordsJson: {
+    // Rows read from the file as a JSON array (column names from a file may not be valid field names);
+    // they are checked again when the import is confirmed
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+taskImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the TaskImport model so it can be used in routes and other files
+module.exports = mongoose.model("TaskImport", taskImportSchema);
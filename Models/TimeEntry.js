@@ -0,0 +1,69 @@
+// TimeEntry model definition using Mongoose
+// A period of time a user spent on a task, recorded with the start/stop timer or entered by hand.
+// A running timer is an entry without an end; each user has at most one running timer.
+
+const mongoose = require("mongoose");
+
+// Define the structure (schema) of a TimeEntry document in MongoDB
+const timeEntrySchema = new mongoose.Schema(
+  {
+    taskId: {
+      // Reference to the Task the time was spent on (entries are kept for reports when it is deleted)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true
+    },
+    taskTitle: {
+      // Title of the task when the entry was last saved, shown once the task is gone
+      type: String
+    },
+    projectId: {
+      // Project of the task (not set for personal tasks), so project reports include every member
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project"
+    },
+    userId: {
+      // Reference to the User who did the work
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    startedAt: {
+      type: Date,
+      required: true
+    },
+    endedAt: {
+      // null while the timer is running
+      type: Date,
+      default: null
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: ""
+    }
+  },
+  {
+    // Add createdAt and updatedAt timestamps automatically
+    timestamps: true,
+    // Include "minutes" in JSON sent to the API
+    toJSON: { virtuals: true }
+  }
+);
+
+timeEntrySchema.index({ taskId: 1, startedAt: -1 });
+timeEntrySchema.index({ userId: 1, startedAt: -1 });
+timeEntrySchema.index({ projectId: 1, startedAt: -1 });
+
+// Only one running timer per user
+timeEntrySchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { endedAt: { $type: "null" } } });
+
+// Length of the entry in whole minutes (up to now for a running timer)
+timeEntrySchema.virtual("minutes").get(function () {
+  const end = this.endedAt || new Date();
+  return Math.max(0, Math.round((end - this.startedAt) / 60000));
+});
+
+// Export the TimeEntry model so it can be used in routes and other files
+module.exports = mongoose.model("TimeEntry", timeEntrySchema);
@@ -1,7 +1,39 @@
 // User model definition using Mongoose
-// This model stores basic authentication information for each user.
+// This model stores basic authentication information for each user, their profile and settings.
 
 const mongoose = require("mongoose");
+const { boardColumnSchema } = require("./BoardColumn");
+
+// Personal access token used to call the JSON API with an Authorization: Bearer header.
+// Only a SHA-256 hash of the token is stored; the raw value is shown once when created.
+const apiTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  tokenPreview: {
+    // Last few characters of the token so users can tell tokens apart in the list
+    type: String
+  },
+  scope: {
+    // Only allow one of: "read" (GET requests only), "write" (full access)
+    type: String,
+    enum: ["read", "write"],
+    default: "read"
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 // Define the structure (schema) of a User document in MongoDB
 const userSchema = new mongoose.Schema({
@@ -21,9 +53,110 @@ const userSchema = new mongoose.Schema({
   },
   displayName: {
     type: String
+  },
+  email: {
+    // Address used for deadline reminders and, once verified, password resets
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  emailVerified: {
+    // Set when the user opens the link sent to the address; cleared when the address changes
+    type: Boolean,
+    default: false
+  },
+  // SHA-256 hash of the email verification link's token, and when the link expires
+  emailTokenHash: {
+    type: String
+  },
+  emailTokenExpiresAt: {
+    type: Date
+  },
+  // SHA-256 hash of the password reset link's token, and when the link expires (unset once used)
+  passwordResetTokenHash: {
+    type: String
+  },
+  passwordResetExpiresAt: {
+    type: Date
+  },
+  timezone: {
+    // IANA time zone name (e.g. "Asia/Hong_Kong") used to read dates typed in quick add
+    type: String,
+    default: "UTC"
+  },
+  twoFactor: {
+    // Time-based one-time passwords (TOTP) from an authenticator app, asked for after the password
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      // Base32 TOTP secret. Kept in plain text because the codes are computed from it.
+      type: String
+    },
+    recoveryCodeHashes: {
+      // SHA-256 hashes of the unused 128-bit recovery codes; each code works once
+      type: [String],
+      default: []
+    },
+    lastUsedStep: {
+      // 30-second time step of the last accepted code, so a code cannot be used twice
+      type: Number
+    }
+  },
+  reminderSettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    leadTimes: {
+      // Minutes before a deadline to send a reminder, e.g. [1440, 60] for one day and one hour before
+      type: [Number],
+      default: [1440]
+    },
+    overdue: {
+      // Also send one reminder when a task becomes overdue
+      type: Boolean,
+      default: true
+    },
+    dailyDigest: {
+      // One email per day listing overdue tasks and tasks due in the next week
+      type: Boolean,
+      default: false
+    },
+    digestHour: {
+      // Hour of the day, in the user's time zone (see "timezone"), at which the daily digest is sent
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 8
+    }
+  },
+  // Secret part of the iCalendar feed URL (/calendar/<token>.ics); unset when the feed is off.
+  // Kept in plain text so the subscription URL can be shown again on the dashboard.
+  calendarFeedToken: {
+    type: String
+  },
+  apiTokens: {
+    type: [apiTokenSchema],
+    default: []
+  },
+  boardColumns: {
+    // Kanban board columns for personal tasks (empty until first used)
+    type: [boardColumnSchema],
+    default: []
   }
 });
 
+// Look up tokens by hash when authenticating API requests
+userSchema.index({ "apiTokens.tokenHash": 1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
+
+// A verified email address belongs to one account, so password resets reach the right user
+userSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { emailVerified: true } });
+userSchema.index({ emailTokenHash: 1 }, { sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+
 // Export the User model so it can be used in routes and other files
 module.exports = mongoose.model("User", userSchema);
 
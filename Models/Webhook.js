@@ -0,0 +1,57 @@
+// Webhook model definition using Mongoose
+// A URL the user registered to receive task events as signed JSON POST requests.
+// Each delivery attempt is recorded as a WebhookDelivery (see Models/WebhookDelivery.js).
+
+const mongoose = require("mongoose");
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ["task.created", "task.updated", "task.status_changed", "task.deleted", "task.overdue"];
+
+// Define the structure (schema) of a Webhook document in MongoDB
+const webhookSchema = new mongoose.Schema(
+  {
+    userId: {
+      // Reference to the User who owns the webhook; it receives events for every task they can see
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: ""
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      default: WEBHOOK_EVENTS
+    },
+    secret: {
+      // Key for the HMAC-SHA256 signature sent with every delivery (kept in plain text so it can be used)
+      type: String,
+      required: true
+    },
+    active: {
+      // Inactive webhooks keep their settings and log but receive nothing
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    // Add createdAt and updatedAt timestamps automatically
+    timestamps: true
+  }
+);
+
+webhookSchema.index({ userId: 1 });
+webhookSchema.index({ events: 1, active: 1 });
+
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+// Export the Webhook model so it can be used in routes and other files
+module.exports = mongoose.model("Webhook", webhookSchema);
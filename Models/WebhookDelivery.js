@@ -0,0 +1,80 @@
+// WebhookDelivery model definition using Mongoose
+// One event sent (or still to be sent) to a webhook. Failed attempts are retried with a growing
+// delay until the delivery succeeds or runs out of attempts; the log is kept for 30 days.
+
+const mongoose = require("mongoose");
+
+// Define the structure (schema) of a WebhookDelivery document in MongoDB
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true
+    },
+    userId: {
+      // Owner of the webhook, so the log can be listed per user
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    event: {
+      // One of Webhook.EVENTS, or "ping" for test deliveries
+      type: String,
+      required: true
+    },
+    eventKey: {
+      // Identifies events that must only be sent once per webhook (e.g. a task becoming overdue)
+      type: String
+    },
+    payload: {
+      // JSON body sent on every attempt, so retries are identical
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    status: {
+      // Only allow one of: "pending" (waiting for the next attempt), "success", "failed" (gave up)
+      type: String,
+      enum: ["pending", "success", "failed"],
+      default: "pending"
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+    responseStatus: {
+      // HTTP status code of the last attempt (not set when the request itself failed)
+      type: Number
+    },
+    responseBody: {
+      // Start of the response body of the last attempt
+      type: String
+    },
+    error: {
+      // Why the last attempt failed (network error, timeout or non-2xx status)
+      type: String
+    },
+    deliveredAt: {
+      type: Date
+    }
+  },
+  {
+    // Add createdAt and updatedAt timestamps automatically
+    timestamps: true
+  }
+);
+
+webhookDeliverySchema.index({ userId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, eventKey: 1 }, { unique: true, partialFilterExpression: { eventKey: { $type: "string" } } });
+
+// Drop log entries after 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Export the WebhookDelivery model so it can be used in routes and other files
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
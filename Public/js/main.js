@@ -1,23 +1,35 @@
 // Front-end JavaScript for Smart Task Manager
-// Handles drag-and-drop task ordering and calendar view
+// Handles drag-and-drop task ordering, subtask checklists, the Kanban board, calendar view,
+// the task detail modal, quick add and live updates pushed by the server
 
 console.log("Smart Task Manager front-end loaded");
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', function() {
   initializeDragAndDrop();
+  initializeSubtasks();
+  initializeTaskHistory();
+  initializeRecurrenceForm();
+  initializeBoard();
   initializeCalendar();
   initializeViewToggle();
+  initializeTaskModal();
+  initializeQuickAdd();
+  initializeBulkActions();
+  initializeLiveUpdates();
 });
 
 // Initialize SortableJS for drag-and-drop task ordering
 function initializeDragAndDrop() {
   const taskList = document.getElementById('taskList');
-  if (!taskList) return;
+  if (!taskList || taskList.dataset.reorder === 'false') return;
 
   const sortable = Sortable.create(taskList, {
     animation: 150,
     ghostClass: 'sortable-ghost',
+    // Let checklist inputs and buttons inside a task work without starting a drag
+    filter: 'input, textarea, select, button',
+    preventOnFilter: false,
     onEnd: function(evt) {
       // Get all task IDs in new order
       const taskItems = Array.from(taskList.querySelectorAll('.task-item'));
@@ -29,9 +41,12 @@ function initializeDragAndDrop() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ taskIds: taskIds })
+        body: JSON.stringify({ taskIds: taskIds, projectId: taskList.dataset.projectId || undefined })
+      })
+      .then(response => {
+        if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+        return response.json();
       })
-      .then(response => response.json())
       .then(data => {
         console.log('Tasks reordered:', data);
         // Optionally show a success message
@@ -40,37 +55,323 @@ function initializeDragAndDrop() {
       .catch(error => {
         console.error('Error reordering tasks:', error);
         showTemporaryMessage('Failed to save task order', 'error');
-        // Reload page to restore original order
-        location.reload();
+        // Put the task back where it came from
+        taskList.removeChild(evt.item);
+        taskList.insertBefore(evt.item, taskList.children[evt.oldIndex] || null);
       });
     }
   });
 }
 
+// Initialize subtask checklists: toggle, add, remove and drag-to-reorder items
+function initializeSubtasks() {
+  const taskList = document.getElementById('taskList');
+  if (!taskList || taskList.dataset.readOnly === 'true') return;
+
+  taskList.querySelectorAll('.task-subtasks').forEach(initializeSubtaskSorting);
+  bindSubtaskEvents(taskList);
+}
+
+// Handle checklist changes for every checklist inside root (the task list or the task modal)
+function bindSubtaskEvents(root) {
+  root.addEventListener('change', function(evt) {
+    if (!evt.target.classList.contains('subtask-toggle')) return;
+    const item = evt.target.closest('.subtask-item');
+    const container = evt.target.closest('.task-subtasks');
+    const checkbox = evt.target;
+    updateSubtasks(container, `/${item.dataset.subtaskId}`, 'PUT', { done: checkbox.checked }, function() {
+      // The change was refused (e.g. the task is blocked); undo the tick
+      checkbox.checked = !checkbox.checked;
+    });
+  });
+
+  root.addEventListener('click', function(evt) {
+    if (!evt.target.classList.contains('subtask-remove')) return;
+    const item = evt.target.closest('.subtask-item');
+    const container = evt.target.closest('.task-subtasks');
+    updateSubtasks(container, `/${item.dataset.subtaskId}`, 'DELETE');
+  });
+
+  root.addEventListener('submit', function(evt) {
+    if (!evt.target.classList.contains('subtask-add-form')) return;
+    evt.preventDefault();
+    const form = evt.target;
+    const container = form.closest('.task-subtasks');
+    updateSubtasks(container, '', 'POST', {
+      title: form.elements.title.value,
+      deadline: form.elements.deadline.value || undefined
+    }).then(() => form.reset());
+  });
+}
+
+// Make a task's checklist sortable and save the new order on drop
+function initializeSubtaskSorting(container) {
+  const list = container.querySelector('.subtask-list');
+  Sortable.create(list, {
+    animation: 150,
+    ghostClass: 'sortable-ghost',
+    filter: 'input, button',
+    preventOnFilter: false,
+    onEnd: function() {
+      const subtaskIds = Array.from(list.querySelectorAll('.subtask-item')).map(item => item.dataset.subtaskId);
+      updateSubtasks(container, '/reorder', 'POST', { subtaskIds: subtaskIds });
+    }
+  });
+}
+
+// Call a subtask endpoint for the container's task and redraw the checklist from the response.
+// onError runs when the change is refused.
+function updateSubtasks(container, path, method, body, onError) {
+  const taskId = container.dataset.taskId;
+  return fetch(`/api/tasks/${taskId}/subtasks${path}`, {
+    method: method,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: body ? JSON.stringify(body) : undefined
+  })
+  .then(response => {
+    return response.json().catch(() => ({})).then(data => {
+      // A blocked task cannot be completed by checking off its last subtask; show the server's reason
+      if (!response.ok) throw new Error(data.error || `Request failed with status ${response.status}`);
+      return data;
+    });
+  })
+  .then(task => {
+    renderSubtasks(container, task);
+    updateTaskData(task);
+    syncTaskModal(task);
+  })
+  .catch(error => {
+    console.error('Error updating subtasks:', error);
+    showTemporaryMessage(error.message || 'Failed to update checklist', 'error');
+    if (onError) onError();
+  });
+}
+
+// Redraw the progress bar, checklist items and status of a task list item
+function renderSubtasks(container, task) {
+  let progress = container.querySelector('.task-progress');
+  if (task.progress === null) {
+    if (progress) progress.remove();
+  } else {
+    if (!progress) {
+      progress = document.createElement('div');
+      progress.className = 'task-progress';
+      progress.innerHTML = '<div class="task-progress-bar"><div class="task-progress-fill"></div></div><span></span>';
+      container.prepend(progress);
+    }
+    progress.querySelector('.task-progress-fill').style.width = `${task.progress}%`;
+    progress.querySelector('span').textContent = `${task.progress}% complete`;
+  }
+
+  const list = container.querySelector('.subtask-list');
+  const readOnly = container.dataset.readOnly === 'true';
+  list.innerHTML = '';
+  task.subtasks.forEach(subtask => {
+    const item = document.createElement('li');
+    item.className = 'subtask-item' + (subtask.done ? ' subtask-done' : '');
+    item.dataset.subtaskId = subtask._id;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'subtask-toggle';
+    checkbox.checked = subtask.done;
+    checkbox.disabled = readOnly;
+    item.appendChild(checkbox);
+
+    const title = document.createElement('span');
+    title.className = 'subtask-title';
+    title.textContent = subtask.title;
+    item.appendChild(title);
+
+    if (subtask.deadline) {
+      const deadline = document.createElement('span');
+      deadline.className = 'subtask-deadline';
+      deadline.textContent = subtask.deadline.slice(0, 10);
+      item.appendChild(deadline);
+    }
+
+    if (!readOnly) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'subtask-remove';
+      remove.title = 'Remove item';
+      remove.innerHTML = '&times;';
+      item.appendChild(remove);
+    }
+
+    list.appendChild(item);
+  });
+
+  const taskItem = container.closest('.task-item');
+  const statusEl = taskItem && taskItem.querySelector('.task-status');
+  if (statusEl) {
+    statusEl.textContent = `Status: ${task.status}`;
+  }
+}
+
+// Keep the calendar's copy of the tasks in sync after an update
+function updateTaskData(task) {
+  if (typeof tasksData === 'undefined') return;
+  const index = tasksData.findIndex(t => t._id === task._id);
+  if (index !== -1) {
+    tasksData[index] = task;
+  } else {
+    tasksData.push(task);
+  }
+}
+
+// What each kind of activity log entry says about the user who made the change
+const HISTORY_ACTION_LABELS = {
+  create: 'created the task',
+  update: 'edited the task',
+  status: 'changed the status',
+  reorder: 'moved the task',
+  delete: 'moved the task to the trash',
+  restore: 'restored the task from the trash',
+  purge: 'deleted the task permanently'
+};
+
+// Fields whose values are ids, so only the fact that they changed is shown
+const HISTORY_ID_FIELDS = ['assigneeId', 'tagIds', 'columnId', 'blockedByIds'];
+
+// Load a task's change history the first time its history panel is opened
+function initializeTaskHistory() {
+  document.querySelectorAll('.task-history').forEach(initializeHistoryPanel);
+}
+
+function initializeHistoryPanel(panel) {
+  panel.addEventListener('toggle', function() {
+    if (!panel.open || panel.dataset.loaded === 'true') return;
+    panel.dataset.loaded = 'true';
+
+    const list = panel.querySelector('.task-history-list');
+    list.innerHTML = '<li>Loading...</li>';
+    fetch(`/api/activity?taskId=${panel.dataset.taskId}&limit=20`)
+      .then(response => {
+        if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+        return response.json();
+      })
+      .then(data => renderTaskHistory(list, data.activity))
+      .catch(error => {
+        console.error('Error loading history:', error);
+        panel.dataset.loaded = 'false';
+        list.innerHTML = '<li>Failed to load history</li>';
+      });
+  });
+}
+
+function renderTaskHistory(list, entries) {
+  list.innerHTML = '';
+  if (entries.length === 0) {
+    list.innerHTML = '<li>No changes recorded yet.</li>';
+    return;
+  }
+
+  entries.forEach(entry => {
+    const item = document.createElement('li');
+    const who = entry.userId ? (entry.userId.displayName || entry.userId.username) : 'Someone';
+    item.textContent = `${new Date(entry.createdAt).toLocaleString()}: ${who} ${HISTORY_ACTION_LABELS[entry.action]}`;
+
+    if (['update', 'status', 'reorder'].includes(entry.action) && entry.changes.length > 0) {
+      const changes = document.createElement('ul');
+      changes.className = 'task-history-changes';
+      entry.changes.forEach(change => {
+        const line = document.createElement('li');
+        line.textContent = HISTORY_ID_FIELDS.includes(change.field)
+          ? `${change.field} changed`
+          : `${change.field}: ${formatHistoryValue(change.from)} → ${formatHistoryValue(change.to)}`;
+        changes.appendChild(line);
+      });
+      item.appendChild(changes);
+    }
+    list.appendChild(item);
+  });
+}
+
+function formatHistoryValue(value) {
+  if (value === null || value === undefined) return '(empty)';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return value.slice(0, 10);
+  if (Array.isArray(value)) return value.map(item => (item && item.title) || formatHistoryValue(item)).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Show the weekday and end options only when the new task repeats
+function initializeRecurrenceForm() {
+  const frequency = document.getElementById('recurrenceFrequency');
+  const options = document.getElementById('recurrenceOptions');
+  if (!frequency || !options) return;
+
+  frequency.addEventListener('change', function() {
+    options.classList.toggle('active', frequency.value !== 'none');
+  });
+}
+
+// Initialize the Kanban board: drag cards within and between columns
+function initializeBoard() {
+  const board = document.querySelector('.board');
+  if (!board || board.dataset.reorder === 'false') return;
+
+  board.querySelectorAll('.board-column-list').forEach(list => {
+    Sortable.create(list, {
+      group: 'board',
+      animation: 150,
+      ghostClass: 'sortable-ghost',
+      onEnd: function(evt) {
+        // Save the column the card was dropped into; the source column keeps its relative order
+        const targetList = evt.to;
+        const taskIds = Array.from(targetList.querySelectorAll('.board-card')).map(card => card.dataset.taskId);
+
+        fetch('/api/tasks/reorder', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            taskIds: taskIds,
+            columnId: targetList.dataset.columnId,
+            projectId: board.dataset.projectId || undefined
+          })
+        })
+        .then(response => {
+          return response.json().catch(() => ({})).then(data => {
+            // Blocked tasks cannot be dropped into a done column; show the server's reason
+            if (!response.ok) throw new Error(data.error || `Request failed with status ${response.status}`);
+            return data;
+          });
+        })
+        .then(() => {
+          updateBoardCounts(board);
+          showTemporaryMessage('Board updated', 'success');
+        })
+        .catch(error => {
+          console.error('Error moving task:', error);
+          showTemporaryMessage(error.message || 'Failed to save board changes', 'error');
+          // Put the card back where it came from
+          evt.from.insertBefore(evt.item, evt.from.children[evt.oldIndex] || null);
+        });
+      }
+    });
+  });
+}
+
+// Refresh the task count shown in each column header
+function updateBoardCounts(board) {
+  board.querySelectorAll('.board-column').forEach(column => {
+    const count = column.querySelectorAll('.board-card').length;
+    column.querySelector('.board-column-count').textContent = count;
+  });
+}
+
 // Initialize FullCalendar
 function initializeCalendar() {
   const calendarEl = document.getElementById('calendar');
   if (!calendarEl || typeof tasksData === 'undefined') return;
 
-  // Format tasks for FullCalendar
-  const events = tasksData.map(task => {
-    const color = getPriorityColor(task.priority);
-    const title = `${task.title} (${task.priority})`;
-    
-    return {
-      id: task._id,
-      title: title,
-      start: task.deadline ? task.deadline : task.createdAt,
-      backgroundColor: color,
-      borderColor: color,
-      textColor: '#fff',
-      extendedProps: {
-        description: task.description,
-        priority: task.priority,
-        status: task.status
-      }
-    };
-  });
+  const events = tasksData.flatMap(taskCalendarEvents);
+  const taskList = document.getElementById('taskList');
 
   const calendar = new FullCalendar.Calendar(calendarEl, {
     initialView: 'dayGridMonth',
@@ -80,20 +381,12 @@ function initializeCalendar() {
       right: 'dayGridMonth,timeGridWeek,listWeek'
     },
     events: events,
+    // Editors can drag a task to another day to change its deadline
+    editable: Boolean(taskList) && taskList.dataset.readOnly !== 'true',
+    eventDurationEditable: false,
+    eventDrop: rescheduleTask,
     eventClick: function(info) {
-      const task = tasksData.find(t => t._id === info.event.id);
-      if (task) {
-        let message = `Task: ${task.title}\n`;
-        message += `Priority: ${task.priority}\n`;
-        message += `Status: ${task.status}\n`;
-        if (task.description) {
-          message += `Description: ${task.description}\n`;
-        }
-        if (task.deadline) {
-          message += `Deadline: ${new Date(task.deadline).toLocaleDateString()}`;
-        }
-        alert(message);
-      }
+      openTaskModal(info.event.extendedProps.taskId || info.event.id);
     },
     eventDidMount: function(info) {
       // Add tooltip
@@ -105,6 +398,52 @@ function initializeCalendar() {
   window.calendar = calendar; // Store reference for refreshing
 }
 
+// Calendar events of a task: the task itself on its deadline (or creation date) and
+// the future occurrences of a recurring task that have not been created yet
+function taskCalendarEvents(task) {
+  const color = getTaskColor(task);
+  const events = [{
+    id: task._id,
+    title: `${task.title} (${task.priority})`,
+    start: task.deadline ? task.deadline : task.createdAt,
+    backgroundColor: color,
+    borderColor: color,
+    textColor: '#fff',
+    extendedProps: {
+      description: task.description,
+      priority: task.priority,
+      status: task.status
+    }
+  }];
+
+  (task.upcomingOccurrences || []).forEach((date, index) => {
+    events.push({
+      id: `${task._id}-upcoming-${index}`,
+      title: `\u21bb ${task.title}`,
+      start: date,
+      // Upcoming occurrences do not exist yet, so they cannot be moved
+      editable: false,
+      backgroundColor: 'transparent',
+      borderColor: color,
+      textColor: color,
+      extendedProps: {
+        taskId: task._id,
+        upcoming: true,
+        description: task.description,
+        priority: task.priority,
+        status: 'upcoming'
+      }
+    });
+  });
+  return events;
+}
+
+// Use the color of the task's first tag, falling back to its priority color
+function getTaskColor(task) {
+  const tag = (task.tagIds || []).find(t => t && t.color);
+  return tag ? tag.color : getPriorityColor(task.priority);
+}
+
 // Get color based on priority
 function getPriorityColor(priority) {
   switch(priority) {
@@ -119,33 +458,487 @@ function getPriorityColor(priority) {
   }
 }
 
-// Initialize view toggle (List/Calendar)
+// Initialize view toggle (List/Calendar/Board)
 function initializeViewToggle() {
-  const listViewBtn = document.getElementById('listViewBtn');
-  const calendarViewBtn = document.getElementById('calendarViewBtn');
+  const views = [
+    { button: document.getElementById('listViewBtn'), container: document.getElementById('listView') },
+    { button: document.getElementById('calendarViewBtn'), container: document.getElementById('calendarView') },
+    { button: document.getElementById('boardViewBtn'), container: document.getElementById('boardView') }
+  ].filter(view => view.button && view.container);
+
+  views.forEach(view => {
+    view.button.addEventListener('click', function() {
+      views.forEach(other => {
+        other.button.classList.toggle('active', other === view);
+        other.container.classList.toggle('active', other === view);
+      });
+
+      // Refresh calendar if needed
+      if (view.container.id === 'calendarView' && window.calendar) {
+        window.calendar.render();
+      }
+    });
+  });
+}
+
+// Task detail modal: shows every field of a task and saves each one through PUT /api/tasks/:id as it changes
+function initializeTaskModal() {
+  const modal = document.getElementById('taskModal');
+  if (!modal) return;
+  const form = document.getElementById('taskModalForm');
+
+  document.getElementById('taskModalClose').addEventListener('click', () => modal.close());
+  form.addEventListener('submit', evt => evt.preventDefault());
+
+  const taskList = document.getElementById('taskList');
+  if (taskList) {
+    taskList.addEventListener('click', function(evt) {
+      const button = evt.target.closest('.task-open');
+      if (button) openTaskModal(button.dataset.taskId);
+    });
+  }
+
+  const subtasks = document.getElementById('taskModalSubtasks');
+  if (subtasks.dataset.readOnly !== 'true') {
+    initializeSubtaskSorting(subtasks);
+    bindSubtaskEvents(subtasks);
+  }
+
+  document.getElementById('modalRecurrenceFrequency').addEventListener('change', function() {
+    document.getElementById('modalRecurrenceOptions').classList.toggle('active', this.value !== 'none');
+  });
+
+  form.addEventListener('change', function(evt) {
+    const group = evt.target.closest('[data-field]');
+    if (!group || !modal.task) return;
+    const field = group.dataset.field;
+    const value = readTaskModalField(group, field);
+    if (field === 'title' && !value) {
+      setTaskModalStatus('Title cannot be empty', true);
+      fillTaskModal(modal.task);
+      return;
+    }
+    const body = { [field]: value };
+    // Monthly repeats count from the deadline, so send it along
+    if (field === 'recurrence') body.deadline = document.getElementById('modalDeadline').value || null;
+    saveTaskModal(body);
+  });
+}
+
+// Load a task into the modal and show it
+function openTaskModal(taskId) {
+  const modal = document.getElementById('taskModal');
+  if (!modal) return;
+  fetchTask(taskId)
+    .then(task => {
+      fillTaskModal(task);
+      setTaskModalStatus('');
+      if (!modal.open) modal.showModal();
+    })
+    .catch(error => {
+      console.error('Error loading task:', error);
+      showTemporaryMessage('Failed to load task', 'error');
+    });
+}
+
+// GET /api/tasks/:id, with assignee and tags filled in
+function fetchTask(taskId) {
+  return fetch(`/api/tasks/${taskId}`).then(response => {
+    if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+    return response.json();
+  });
+}
+
+function fillTaskModal(task) {
+  const modal = document.getElementById('taskModal');
+  modal.task = task;
+  document.getElementById('taskModalHeading').textContent = task.title;
+  document.getElementById('taskModalPage').href = `/tasks/${task._id}`;
+  document.getElementById('modalTitle').value = task.title;
+  document.getElementById('modalDescription').value = task.description || '';
+  document.getElementById('modalPriority').value = task.priority;
+  document.getElementById('modalStatus').value = task.status;
+  document.getElementById('modalDeadline').value = task.deadline ? task.deadline.slice(0, 10) : '';
+  document.getElementById('modalAssignee').value = task.assigneeId ? task.assigneeId.username : '';
+  document.getElementById('modalAutoComplete').checked = task.autoCompleteSubtasks;
+  document.getElementById('modalEstimate').value = task.estimateMinutes === undefined || task.estimateMinutes === null ? '' : task.estimateMinutes;
+
+  const tagIds = (task.tagIds || []).map(refId);
+  modal.querySelectorAll('[data-field="tagIds"] input').forEach(input => {
+    input.checked = tagIds.includes(input.value);
+  });
+
+  const recurrence = task.recurrence || {};
+  const frequency = document.getElementById('modalRecurrenceFrequency');
+  frequency.value = recurrence.frequency || 'none';
+  document.getElementById('modalRecurrenceOptions').classList.toggle('active', frequency.value !== 'none');
+  document.getElementById('modalRecurrenceInterval').value = recurrence.interval || 1;
+  document.getElementById('modalRecurrenceUntil').value = recurrence.until ? recurrence.until.slice(0, 10) : '';
+  document.getElementById('modalRecurrenceCount').value = recurrence.count || '';
+  modal.querySelectorAll('[data-field="recurrence"] input[name="byWeekday"]').forEach(input => {
+    input.checked = (recurrence.byWeekday || []).includes(Number(input.value));
+  });
+
+  const subtasks = document.getElementById('taskModalSubtasks');
+  subtasks.dataset.taskId = task._id;
+  renderSubtasks(subtasks, task);
+}
+
+// Value of one modal field in the shape PUT /api/tasks/:id expects
+function readTaskModalField(group, field) {
+  switch (field) {
+    case 'title':
+    case 'assignee':
+      return group.value.trim();
+    case 'deadline':
+      return group.value || null;
+    case 'autoCompleteSubtasks':
+      return group.checked;
+    case 'tagIds':
+      return Array.from(group.querySelectorAll('input:checked')).map(input => input.value);
+    case 'recurrence': {
+      const input = name => group.querySelector(`[name="${name}"]`).value;
+      return {
+        frequency: input('frequency'),
+        interval: input('interval') || 1,
+        byWeekday: Array.from(group.querySelectorAll('input[name="byWeekday"]:checked')).map(box => box.value),
+        until: input('until') || undefined,
+        count: input('count') || undefined
+      };
+    }
+    default:
+      return group.value;
+  }
+}
+
+// Save changed fields of the task shown in the modal. Errors (such as a blocked task) put the old values back.
+function saveTaskModal(body) {
+  const modal = document.getElementById('taskModal');
+  const taskId = modal.task._id;
+  setTaskModalStatus('Saving...');
+  return updateTask(taskId, body)
+    .then(task => {
+      if (modal.task && modal.task._id === taskId) fillTaskModal(task);
+      setTaskModalStatus('Saved');
+    })
+    .catch(error => {
+      console.error('Error saving task:', error);
+      setTaskModalStatus(error.message || 'Failed to save task', true);
+      if (modal.task && modal.task._id === taskId) fillTaskModal(modal.task);
+    });
+}
+
+// PUT /api/tasks/:id, then reload the task so the list, board and calendar show the new values.
+// Rejects with the server's error message.
+function updateTask(taskId, body) {
+  return fetch(`/api/tasks/${taskId}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body)
+  })
+  .then(response => {
+    return response.json().catch(() => ({})).then(data => {
+      if (!response.ok) throw new Error(data.error || `Request failed with status ${response.status}`);
+      return fetchTask(taskId);
+    });
+  })
+  .then(task => {
+    updateTaskData(task);
+    updateCalendarTask(task);
+    updateBoardCard(task);
+    const listView = document.getElementById('listView');
+    if (listView && document.querySelector(`#taskList .task-item[data-task-id="${taskId}"]`)) {
+      refreshTaskItem(listView, task);
+    }
+    return task;
+  });
+}
+
+function setTaskModalStatus(message, isError) {
+  const status = document.getElementById('taskModalStatus');
+  status.textContent = message;
+  status.classList.toggle('error', Boolean(isError));
+}
+
+// Keep the modal's status in step when checklist changes complete the task
+function syncTaskModal(task) {
+  const modal = document.getElementById('taskModal');
+  if (!modal || !modal.task || modal.task._id !== task._id) return;
+  modal.task.status = task.status;
+  modal.task.subtasks = task.subtasks;
+  document.getElementById('modalStatus').value = task.status;
+}
+
+// Move a task to the day it was dropped on in the calendar
+function rescheduleTask(info) {
+  const taskId = info.event.id;
+  const task = typeof tasksData !== 'undefined' && tasksData.find(t => t._id === taskId);
+  if (!task) {
+    info.revert();
+    return;
+  }
+
+  // Shift the stored date-only deadline (UTC midnight) by the days it was moved; tasks without
+  // a deadline are shown on their creation date
+  const deadline = new Date((task.deadline || task.createdAt).slice(0, 10));
+  deadline.setUTCFullYear(deadline.getUTCFullYear() + info.delta.years);
+  deadline.setUTCMonth(deadline.getUTCMonth() + info.delta.months);
+  deadline.setUTCDate(deadline.getUTCDate() + info.delta.days);
+  const newDeadline = new Date(deadline.getTime() + info.delta.milliseconds).toISOString().slice(0, 10);
+
+  updateTask(taskId, { deadline: newDeadline })
+    .then(() => showTemporaryMessage(`Deadline moved to ${newDeadline}`, 'success'))
+    .catch(error => {
+      console.error('Error rescheduling task:', error);
+      showTemporaryMessage(error.message || 'Failed to reschedule task', 'error');
+      info.revert();
+    });
+}
+
+// Keep the dashboard in sync with changes made elsewhere (other tabs, other users, the API).
+// The server pushes task.created / task.updated / task.deleted events over Server-Sent Events.
+function initializeLiveUpdates() {
   const listView = document.getElementById('listView');
-  const calendarView = document.getElementById('calendarView');
-
-  if (!listViewBtn || !calendarViewBtn) return;
-
-  listViewBtn.addEventListener('click', function() {
-    listViewBtn.classList.add('active');
-    calendarViewBtn.classList.remove('active');
-    listView.classList.add('active');
-    calendarView.classList.remove('active');
-  });
-
-  calendarViewBtn.addEventListener('click', function() {
-    calendarViewBtn.classList.add('active');
-    listViewBtn.classList.remove('active');
-    calendarView.classList.add('active');
-    listView.classList.remove('active');
-    
-    // Refresh calendar if needed
-    if (window.calendar) {
-      window.calendar.render();
+  if (!listView || typeof EventSource === 'undefined') return;
+
+  const source = new EventSource('/api/events');
+  ['task.created', 'task.updated', 'task.deleted'].forEach(type => {
+    source.addEventListener(type, evt => applyTaskEvent(listView, type, JSON.parse(evt.data)));
+  });
+}
+
+// Id of a reference that may or may not have been populated
+function refId(value) {
+  if (!value) return null;
+  return typeof value === 'object' ? value._id : value;
+}
+
+// Whether a task belongs in the list currently shown (project, personal tasks or "Assigned to me")
+function taskBelongsToView(listView, task) {
+  if (task.deletedAt) return false;
+  if (listView.dataset.view === 'assigned') return refId(task.assigneeId) === listView.dataset.userId;
+  if (listView.dataset.projectId) return refId(task.projectId) === listView.dataset.projectId;
+  return !task.projectId && refId(task.userId) === listView.dataset.userId;
+}
+
+// Fields that only change where a task is shown, not how it looks
+const POSITION_FIELDS = ['order', 'boardOrder', 'columnId'];
+
+function applyTaskEvent(listView, type, data) {
+  const task = data.task;
+  if (type === 'task.deleted' || !task || !taskBelongsToView(listView, task)) {
+    removeLiveTask(data.taskId);
+    return;
+  }
+
+  const item = document.querySelector(`#taskList .task-item[data-task-id="${task._id}"]`);
+  // A filtered list only shows tasks matching the filters, which are checked on the server
+  if (!item && listView.dataset.filtered === 'true') return;
+
+  updateTaskData(task);
+  updateCalendarTask(task);
+  updateBoardCard(task);
+
+  if (item && data.changes.every(field => POSITION_FIELDS.includes(field))) {
+    item.dataset.order = task.order;
+    placeTaskItem(listView, item);
+    return;
+  }
+
+  refreshTaskItem(listView, task);
+}
+
+// Redraw a task's list item from the server, adding it to the list if it is not shown yet
+function refreshTaskItem(listView, task) {
+  return fetch(`/dashboard/tasks/${task._id}`)
+    .then(response => {
+      if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+      return response.text();
+    })
+    .then(html => {
+      const template = document.createElement('template');
+      template.innerHTML = html.trim();
+      const newItem = template.content.firstElementChild;
+      const current = document.querySelector(`#taskList .task-item[data-task-id="${task._id}"]`);
+      if (current) {
+        // Keep the task selected for bulk actions
+        const selected = current.querySelector('.task-select');
+        const newSelect = newItem.querySelector('.task-select');
+        if (selected && newSelect) newSelect.checked = selected.checked;
+        current.replaceWith(newItem);
+      } else {
+        const empty = listView.querySelector('.task-list-empty');
+        if (empty) empty.remove();
+        document.getElementById('taskList').appendChild(newItem);
+      }
+      placeTaskItem(listView, newItem);
+      initializeTaskItem(newItem);
+    })
+    .catch(error => console.error('Error refreshing task:', error));
+}
+
+// Move a list item to its place by "order" (only when the list is not sorted or filtered)
+function placeTaskItem(listView, item) {
+  if (listView.dataset.filtered === 'true') return;
+  const taskList = item.parentNode;
+  const order = Number(item.dataset.order);
+  const next = Array.from(taskList.children).find(other => other !== item && Number(other.dataset.order) > order);
+  taskList.insertBefore(item, next || null);
+}
+
+// Set up the interactive parts of a list item added after the page loaded
+function initializeTaskItem(item) {
+  const taskList = document.getElementById('taskList');
+  if (taskList.dataset.readOnly !== 'true') {
+    item.querySelectorAll('.task-subtasks').forEach(initializeSubtaskSorting);
+  }
+  item.querySelectorAll('.task-history').forEach(initializeHistoryPanel);
+}
+
+// Replace a task's calendar events with ones built from its new data
+function updateCalendarTask(task) {
+  if (!window.calendar) return;
+  removeCalendarTask(task._id);
+  taskCalendarEvents(task).forEach(event => window.calendar.addEvent(event));
+}
+
+function removeCalendarTask(taskId) {
+  if (!window.calendar) return;
+  window.calendar.getEvents()
+    .filter(event => event.id === taskId || event.extendedProps.taskId === taskId)
+    .forEach(event => event.remove());
+}
+
+// Move a board card to its column and refresh its title. New cards appear after a reload.
+function updateBoardCard(task) {
+  const board = document.querySelector('.board');
+  const card = board && board.querySelector(`.board-card[data-task-id="${task._id}"]`);
+  if (!card) return;
+
+  card.querySelector('.board-card-title').textContent = task.title;
+  const column = task.columnId && board.querySelector(`.board-column-list[data-column-id="${task.columnId}"]`);
+  if (column) {
+    card.dataset.boardOrder = task.boardOrder;
+    const next = Array.from(column.children)
+      .find(other => other !== card && Number(other.dataset.boardOrder) > task.boardOrder);
+    column.insertBefore(card, next || null);
+    updateBoardCounts(board);
+  }
+}
+
+// Take a deleted (or no longer visible) task off the list, board and calendar
+function removeLiveTask(taskId) {
+  const item = document.querySelector(`#taskList .task-item[data-task-id="${taskId}"]`);
+  if (item) item.remove();
+
+  const board = document.querySelector('.board');
+  const card = board && board.querySelector(`.board-card[data-task-id="${taskId}"]`);
+  if (card) {
+    card.remove();
+    updateBoardCounts(board);
+  }
+
+  removeCalendarTask(taskId);
+  if (typeof tasksData !== 'undefined') {
+    const index = tasksData.findIndex(t => t._id === taskId);
+    if (index !== -1) tasksData.splice(index, 1);
+  }
+}
+
+// Quick add: preview how the text will be read (POST /api/tasks/parse) while the user types.
+// The form itself posts the text to /tasks, which parses it again and creates the task.
+function initializeQuickAdd() {
+  const form = document.getElementById('quickAddForm');
+  if (!form) return;
+
+  const input = document.getElementById('quickAddText');
+  const preview = document.getElementById('quickAddPreview');
+  const hint = preview.textContent;
+  const timezoneOffset = new Date().getTimezoneOffset();
+  document.getElementById('quickAddTimezone').value = timezoneOffset;
+
+  let timer = null;
+  let latest = 0;
+  input.addEventListener('input', function() {
+    clearTimeout(timer);
+    const text = input.value.trim();
+    if (!text) {
+      preview.textContent = hint;
+      preview.classList.remove('error');
+      return;
+    }
+    timer = setTimeout(() => {
+      const request = ++latest;
+      fetch('/api/tasks/parse', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ text, timezoneOffset })
+      })
+      .then(response => response.json().then(data => ({ ok: response.ok, data })))
+      .then(({ ok, data }) => {
+        // Ignore answers to text that has been changed since
+        if (request !== latest) return;
+        preview.classList.toggle('error', !ok);
+        preview.textContent = ok ? describeQuickAdd(data) : data.error;
+      })
+      .catch(error => console.error('Error parsing quick add:', error));
+    }, 250);
+  });
+}
+
+// Bulk actions: count the ticked tasks, show the field the chosen operation needs and
+// confirm deletes before the form posts to /tasks/bulk
+function initializeBulkActions() {
+  const form = document.getElementById('bulkForm');
+  if (!form) return;
+
+  const selectAll = document.getElementById('bulkSelectAll');
+  const operation = document.getElementById('bulkOperation');
+  const selectedBoxes = () => document.querySelectorAll('#taskList .task-select:checked');
+
+  function update() {
+    const count = selectedBoxes().length;
+    const total = document.querySelectorAll('#taskList .task-select').length;
+    document.getElementById('bulkCount').textContent = `${count} selected`;
+    document.getElementById('bulkApply').disabled = count === 0;
+    selectAll.checked = total > 0 && count === total;
+    document.getElementById('bulkPriority').style.display = operation.value === 'priority' ? '' : 'none';
+    document.getElementById('bulkDeadline').style.display = operation.value === 'deadline' ? '' : 'none';
+  }
+
+  selectAll.addEventListener('change', function() {
+    document.querySelectorAll('#taskList .task-select').forEach(box => {
+      box.checked = selectAll.checked;
+    });
+    update();
+  });
+  // Items redrawn by live updates get new checkboxes, so listen on the list
+  document.getElementById('taskList').addEventListener('change', function(event) {
+    if (event.target.classList.contains('task-select')) update();
+  });
+  operation.addEventListener('change', update);
+
+  form.addEventListener('submit', function(event) {
+    if (operation.value === 'delete' && !confirm(`Move ${selectedBoxes().length} task(s) to the trash?`)) {
+      event.preventDefault();
     }
   });
+  update();
+}
+
+function describeQuickAdd(parsed) {
+  let due = 'no deadline';
+  if (parsed.deadline) {
+    // Deadlines without a time are whole days (midnight UTC), like dates picked in the task form
+    due = parsed.hasTime
+      ? new Date(parsed.deadline).toLocaleString([], { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+      : new Date(parsed.deadline).toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+  }
+  return `Title: ${parsed.title} | Due: ${due} | Priority: ${parsed.priority}`;
 }
 
 // Show temporary message
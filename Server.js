@@ -13,11 +13,32 @@ const passport = require("passport");
 const LocalStrategy = require("passport-local").Strategy;
 const GoogleStrategy = require("passport-google-oauth20").Strategy;
 const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const dns = require("dns");
+const bcrypt = require("bcrypt");
+const nodemailer = require("nodemailer");
+const multer = require("multer");
 require("dotenv").config();
 
 // Load Mongoose models
 const User = require("./Models/User");
 const Task = require("./Models/Task");
+const Project = require("./Models/Project");
+const Tag = require("./Models/Tag");
+const { DEFAULT_BOARD_COLUMNS } = require("./Models/BoardColumn");
+const Reminder = require("./Models/Reminder");
+const Activity = require("./Models/Activity");
+const Comment = require("./Models/Comment");
+const Attachment = require("./Models/Attachment");
+const TimeEntry = require("./Models/TimeEntry");
+const Webhook = require("./Models/Webhook");
+const WebhookDelivery = require("./Models/WebhookDelivery");
+const LoginThrottle = require("./Models/LoginThrottle");
+const TaskImport = require("./Models/TaskImport");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -36,6 +57,8 @@ mongoose
   .connect(MONGODB_URI)
   .then(() => {
     console.log("Connected to MongoDB");
+    purgeExpiredTrash();
+    Task.fillPriorityRanks().catch((err) => console.error("Priority rank backfill error:", err));
   })
   .catch((err) => {
     console.error("MongoDB connection error:", err);
@@ -70,6 +93,103 @@ if (!googleAuthEnabled) {
   console.warn("Google OAuth not fully configured. Set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET to enable it.");
 }
 
+// ====== Mail Helpers ======
+
+// Public address of the app, used for links in emails
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+
+// Any SMTP server works, including a local test server such as MailHog (SMTP_HOST=localhost, SMTP_PORT=1025).
+// Without SMTP_HOST, emails are printed to the console instead of being sent.
+const SMTP_HOST = process.env.SMTP_HOST;
+const MAIL_FROM = process.env.MAIL_FROM || "Smart Task Manager <no-reply@localhost>";
+
+const mailTransport = SMTP_HOST
+  ? nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    })
+  : nodemailer.createTransport({ jsonTransport: true });
+
+if (!SMTP_HOST) {
+  console.warn("SMTP not configured. Emails will be logged to the console. Set SMTP_HOST to send them.");
+}
+
+async function sendMail({ to, subject, text }) {
+  const info = await mailTransport.sendMail({ from: MAIL_FROM, to, subject, text });
+  if (!SMTP_HOST) {
+    console.log("Email (not sent, SMTP not configured):", info.message);
+  }
+  return info;
+}
+
+// ====== Password Helpers ======
+
+const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS, 10) || 12;
+
+// Password strength rules, configurable through .env (see .env.example)
+const PASSWORD_RULES = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === "true",
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE === "true",
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== "false",
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === "true"
+};
+
+// Human-readable list of the active rules, shown next to password fields in the views
+function describePasswordRules() {
+  const rules = [`At least ${PASSWORD_RULES.minLength} characters`];
+  if (PASSWORD_RULES.requireUppercase) rules.push("An uppercase letter (A-Z)");
+  if (PASSWORD_RULES.requireLowercase) rules.push("A lowercase letter (a-z)");
+  if (PASSWORD_RULES.requireNumber) rules.push("A number (0-9)");
+  if (PASSWORD_RULES.requireSymbol) rules.push("A symbol (e.g. ! @ # $)");
+  return rules;
+}
+
+// Returns an error message if the password breaks any rule, otherwise null
+function validatePassword(password) {
+  const missing = [];
+  if (password.length < PASSWORD_RULES.minLength) missing.push(`at least ${PASSWORD_RULES.minLength} characters`);
+  if (PASSWORD_RULES.requireUppercase && !/[A-Z]/.test(password)) missing.push("an uppercase letter");
+  if (PASSWORD_RULES.requireLowercase && !/[a-z]/.test(password)) missing.push("a lowercase letter");
+  if (PASSWORD_RULES.requireNumber && !/[0-9]/.test(password)) missing.push("a number");
+  if (PASSWORD_RULES.requireSymbol && !/[^A-Za-z0-9]/.test(password)) missing.push("a symbol");
+
+  if (missing.length === 0) {
+    return null;
+  }
+  const list = missing.length > 1 ? missing.slice(0, -1).join(", ") + " and " + missing[missing.length - 1] : missing[0];
+  return `Password must contain ${list}.`;
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+}
+
+// Accounts created before passwords were hashed still hold the raw string
+function isPasswordHashed(storedPassword) {
+  return /^\$2[aby]\$\d{2}\$/.test(storedPassword);
+}
+
+// Check a password against a user's stored password. Legacy plaintext passwords are
+// upgraded to a bcrypt hash the first time they are verified successfully.
+async function verifyPassword(user, password) {
+  if (isPasswordHashed(user.password)) {
+    return bcrypt.compare(password, user.password);
+  }
+
+  if (user.password !== password) {
+    return false;
+  }
+
+  user.password = await hashPassword(password);
+  await user.save();
+  return true;
+}
+
+app.locals.passwordRequirements = describePasswordRules();
+
 passport.use(
   new LocalStrategy(async (username, password, done) => {
     try {
@@ -80,7 +200,7 @@ passport.use(
       if (!user.password) {
         return done(null, false, { message: "This account uses Google login. Please continue with Google." });
       }
-      if (user.password !== password) {
+      if (!(await verifyPassword(user, password))) {
         return done(null, false, { message: "Invalid username or password." });
       }
       return done(null, user);
@@ -94,18 +214,25 @@ passport.serializeUser((user, done) => {
   done(null, user.id || user._id.toString());
 });
 
+// Shape of req.user shared by session logins and API token requests
+function toRequestUser(user) {
+  return {
+    id: user._id.toString(),
+    username: user.username,
+    displayName: user.displayName || user.username,
+    googleUser: Boolean(user.googleId),
+    hasPassword: Boolean(user.password),
+    timezone: user.timezone || "UTC"
+  };
+}
+
 passport.deserializeUser(async (id, done) => {
   try {
     const user = await User.findById(id);
     if (!user) {
       return done(null, false);
     }
-    done(null, {
-      id: user._id.toString(),
-      username: user.username,
-      displayName: user.displayName || user.username,
-      googleUser: Boolean(user.googleId)
-    });
+    done(null, toRequestUser(user));
   } catch (err) {
     done(err);
   }
@@ -116,9 +243,14 @@ if (process.env.NODE_ENV === "production") {
   app.set("trust proxy", 1);
 }
 
+// Sessions are kept in memory (express-session's default store, suited to a single server). The store
+// is kept here so the profile page can list a user's sessions and revoke them.
+const sessionStore = new session.MemoryStore();
+
 app.use(
   session({
     name: "stm.sid",
+    store: sessionStore,
     secret: SESSION_SECRET || "dev_secret_key_change_in_production",
     resave: false,
     saveUninitialized: false,
@@ -134,29 +266,55 @@ app.use(
 app.use(passport.initialize());
 app.use(passport.session());
 
+// Note where each logged-in session was last used (at most once a minute) for the sessions list
+app.use((req, res, next) => {
+  if (req.user && req.session && !(req.session.lastSeenAt > Date.now() - 60 * 1000)) {
+    noteSessionUse(req);
+  }
+  next();
+});
+
 if (googleAuthEnabled) {
   passport.use(
     new GoogleStrategy(
       {
         clientID: GOOGLE_CLIENT_ID,
         clientSecret: GOOGLE_CLIENT_SECRET,
-        callbackURL: GOOGLE_CALLBACK_URL
+        callbackURL: GOOGLE_CALLBACK_URL,
+        passReqToCallback: true
       },
-      async (_accessToken, _refreshToken, profile, done) => {
+      async (req, _accessToken, _refreshToken, profile, done) => {
         try {
           let user = await User.findOne({ googleId: profile.id });
 
+          // Linking from the profile page adds the Google account to the logged-in user
+          const linkingUserId = req.session.linkGoogleUserId;
+          if (linkingUserId) {
+            if (user && user._id.toString() !== linkingUserId) {
+              return done(null, false, { message: "This Google account is already linked to another user." });
+            }
+            user = await User.findById(linkingUserId);
+            if (!user) {
+              return done(null, false, { message: "Your account no longer exists." });
+            }
+            user.googleId = profile.id;
+            await user.save();
+            return done(null, user);
+          }
+
           if (!user) {
-            const fallbackUsername =
-              (profile.emails && profile.emails[0] && profile.emails[0].value) ||
-              profile.displayName ||
-              `google_${profile.id}`;
+            const googleEmail = profile.emails && profile.emails[0] ? profile.emails[0] : null;
+            const fallbackUsername = (googleEmail && googleEmail.value) || profile.displayName || `google_${profile.id}`;
+            // Google has checked the address, so it counts as verified unless another account already has it
+            const emailTaken = googleEmail && (await User.exists({ email: googleEmail.value.toLowerCase(), emailVerified: true }));
 
             user = await User.create({
               username: fallbackUsername,
               password: "",
               googleId: profile.id,
-              displayName: profile.displayName || fallbackUsername
+              displayName: profile.displayName || fallbackUsername,
+              email: googleEmail ? googleEmail.value : undefined,
+              emailVerified: Boolean(googleEmail && googleEmail.verified !== false && !emailTaken)
             });
           } else if (!user.displayName && profile.displayName) {
             user.displayName = profile.displayName;
@@ -177,6 +335,18 @@ app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "Views"));
 app.use(express.static(path.join(__dirname, "Public")));
 
+// JSON for inline <script> blocks in templates. Characters that could end the script element or a
+// JavaScript string are escaped, so task titles and other user text cannot inject markup.
+function scriptJson(value) {
+  return JSON.stringify(value === undefined ? null : value)
+    .replace(/</g, "\\u003c")
+    .replace(/>/g, "\\u003e")
+    .replace(/&/g, "\\u0026")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+app.locals.scriptJson = scriptJson;
+
 // Make user info available in all EJS templates (if logged in)
 app.use((req, res, next) => {
   res.locals.currentUser = req.user || null;
@@ -200,6 +370,440 @@ function isLoggedIn(req, res, next) {
   return res.redirect("/login?error=" + encodeURIComponent("Your session has expired. Please log in again."));
 }
 
+// API tokens are random strings prefixed with "stm_"; only their SHA-256 hash is stored
+function generateApiToken() {
+  return "stm_" + crypto.randomBytes(24).toString("hex");
+}
+
+// SHA-256 hash stored in place of a secret token (API tokens, email verification and password reset links)
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Authenticate /api requests that carry an "Authorization: Bearer <token>" header.
+// Requests without the header fall through to the normal session check in isLoggedIn.
+async function authenticateApiToken(req, res, next) {
+  const header = req.get("Authorization");
+  if (!header) {
+    return next();
+  }
+
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return res.status(401).json({
+      error: "Invalid authorization header",
+      message: "Use the format: Authorization: Bearer <token>"
+    });
+  }
+
+  try {
+    const tokenHash = hashToken(match[1]);
+    const user = await User.findOne({ "apiTokens.tokenHash": tokenHash });
+    if (!user) {
+      return res.status(401).json({
+        error: "Invalid API token",
+        message: "The API token is invalid or has been revoked."
+      });
+    }
+
+    const apiToken = user.apiTokens.find((token) => token.tokenHash === tokenHash);
+    await User.updateOne(
+      { _id: user._id, "apiTokens._id": apiToken._id },
+      { $set: { "apiTokens.$.lastUsedAt": new Date() } }
+    );
+
+    req.user = toRequestUser(user);
+    req.apiToken = { id: apiToken._id.toString(), name: apiToken.name, scope: apiToken.scope };
+    next();
+  } catch (err) {
+    console.error("API token auth error:", err);
+    res.status(500).json({ error: "Failed to authenticate API token" });
+  }
+}
+
+// Reject write requests made with a read-only API token (session requests are always allowed)
+function requireWriteAccess(req, res, next) {
+  if (req.apiToken && req.apiToken.scope !== "write") {
+    return res.status(403).json({
+      error: "Insufficient scope",
+      message: "This API token is read-only."
+    });
+  }
+  next();
+}
+
+app.use("/api", authenticateApiToken);
+
+// ====== Login Security Helpers ======
+// Failed logins are counted per username and per IP address (see LoginThrottle). Too many failures
+// within LOGIN_WINDOW_MINUTES lock the username or address out for LOGIN_LOCKOUT_MINUTES.
+// Accounts can also ask for a TOTP code from an authenticator app after the password (RFC 6238).
+
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || "5", 10);
+const LOGIN_MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP || "20", 10);
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || "15", 10);
+const LOGIN_WINDOW_MINUTES = 15;
+
+// Minutes a user has to enter the two-factor code after a correct password
+const PENDING_LOGIN_MINUTES = 5;
+const TOTP_ISSUER = "Smart Task Manager";
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+// 128 random bits per recovery code, so a plain SHA-256 hash cannot be reversed by trying every code
+const RECOVERY_CODE_BYTES = 16;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function loginThrottleKeys(req, username) {
+  return {
+    user: "user:" + username.toString().trim().toLowerCase(),
+    ip: "ip:" + req.ip
+  };
+}
+
+// Message for a username or IP address that is locked out, or null when it may try to log in
+async function loginLockoutMessage(keys) {
+  const locked = await LoginThrottle.findOne({
+    key: { $in: [keys.user, keys.ip] },
+    lockedUntil: { $gt: new Date() }
+  }).sort({ lockedUntil: -1 });
+  if (!locked) {
+    return null;
+  }
+  const minutes = Math.ceil((locked.lockedUntil.getTime() - Date.now()) / 60000);
+  return `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`;
+}
+
+// Count a failed attempt against one key and lock it out once it reaches maxFailures
+async function recordLoginFailure(key, maxFailures) {
+  const now = new Date();
+  let entry = await LoginThrottle.findOneAndUpdate(
+    { key, expiresAt: { $gt: now } },
+    { $inc: { failures: 1 } },
+    { new: true }
+  );
+  if (!entry) {
+    // No failures yet, or the last window has passed: start a new window
+    entry = await LoginThrottle.findOneAndUpdate(
+      { key },
+      { failures: 1, lockedUntil: null, expiresAt: new Date(now.getTime() + LOGIN_WINDOW_MINUTES * 60 * 1000) },
+      { upsert: true, new: true }
+    );
+  }
+
+  if (entry.failures >= maxFailures) {
+    const lockedUntil = new Date(now.getTime() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+    await LoginThrottle.updateOne(
+      { _id: entry._id },
+      { failures: 0, lockedUntil, expiresAt: lockedUntil > entry.expiresAt ? lockedUntil : entry.expiresAt }
+    );
+  }
+}
+
+async function recordLoginFailures(keys) {
+  await recordLoginFailure(keys.user, LOGIN_MAX_FAILURES);
+  await recordLoginFailure(keys.ip, LOGIN_MAX_FAILURES_PER_IP);
+}
+
+// A successful login clears the username's failures; the IP address keeps its count
+function clearLoginFailures(keys) {
+  return LoginThrottle.deleteOne({ key: keys.user });
+}
+
+function base32Encode(buffer) {
+  const bits = Array.from(buffer, (byte) => byte.toString(2).padStart(8, "0")).join("");
+  let text = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    text += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return text;
+}
+
+function base32Decode(text) {
+  const bits = text
+    .toUpperCase()
+    .replace(/[^A-Z2-7]/g, "")
+    .split("")
+    .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, "0"))
+    .join("");
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// otpauth:// link an authenticator app reads from the enrolment QR code
+function totpUri(secret, username) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
+
+// Code for one 30-second time step (HOTP, RFC 4226, with the step as counter)
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (value % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0");
+}
+
+// Time step a code belongs to, allowing one step of clock drift either way, or null when it is wrong
+function matchTotpStep(secret, code, now = Date.now()) {
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code)) {
+    return null;
+  }
+  const current = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  const step = [current, current - 1, current + 1].find((candidate) =>
+    crypto.timingSafeEqual(Buffer.from(totpCode(secret, candidate)), Buffer.from(code))
+  );
+  return step === undefined ? null : step;
+}
+
+// Recovery codes look like "3f9a1c07-be52d4a0-19c6e8f2-7d03b5a9"; spaces, dashes and case are ignored
+// when one is entered
+function normalizeRecoveryCode(code) {
+  return code.toLowerCase().replace(/[^0-9a-f]/g, "");
+}
+
+// New recovery codes: returns { codes } to show the user once and { hashes } to store
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const code = crypto.randomBytes(RECOVERY_CODE_BYTES).toString("hex");
+    codes.push(code.match(/.{8}/g).join("-"));
+  }
+  return { codes, hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))) };
+}
+
+// Check a TOTP code or a recovery code of a user with two-factor authentication and use it up,
+// so neither can be replayed. Returns "totp", "recovery" or null when the code is wrong.
+async function useSecondFactor(user, input) {
+  const code = (input || "").toString().replace(/\s+/g, "");
+  const step = matchTotpStep(user.twoFactor.secret, code);
+  if (step !== null) {
+    const result = await User.updateOne(
+      { _id: user._id, $or: [{ "twoFactor.lastUsedStep": null }, { "twoFactor.lastUsedStep": { $lt: step } }] },
+      { "twoFactor.lastUsedStep": step }
+    );
+    return result.modifiedCount ? "totp" : null;
+  }
+
+  const recoveryCode = normalizeRecoveryCode(code);
+  if (recoveryCode.length !== RECOVERY_CODE_BYTES * 2) {
+    return null;
+  }
+  const codeHash = hashToken(recoveryCode);
+  const result = await User.updateOne(
+    { _id: user._id, "twoFactor.recoveryCodeHashes": codeHash },
+    { $pull: { "twoFactor.recoveryCodeHashes": codeHash } }
+  );
+  return result.modifiedCount ? "recovery" : null;
+}
+
+// Log a user into this session and note when and from where, for the sessions list
+function logInSession(req, user, done) {
+  req.logIn(user, (err) => {
+    if (err) {
+      return done(err);
+    }
+    req.session.signedInAt = Date.now();
+    noteSessionUse(req);
+    done();
+  });
+}
+
+// Finish a password or Google login. With two-factor authentication on, the session only remembers
+// the pending login and the user is sent to /login/two-factor for a code.
+async function finishLogin(req, res, user, done) {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    req.session.pendingLogin = {
+      userId: user._id.toString(),
+      expiresAt: Date.now() + PENDING_LOGIN_MINUTES * 60 * 1000
+    };
+    return res.redirect("/login/two-factor");
+  }
+
+  try {
+    await clearLoginFailures(loginThrottleKeys(req, user.username));
+  } catch (err) {
+    return done(err);
+  }
+  logInSession(req, user, (err) => {
+    if (err) {
+      return done(err);
+    }
+    res.redirect("/dashboard");
+  });
+}
+
+function noteSessionUse(req) {
+  req.session.lastSeenAt = Date.now();
+  req.session.ip = req.ip;
+  req.session.userAgent = (req.get("User-Agent") || "").slice(0, 300);
+}
+
+// Sessions the user is logged in with, most recently used first. Each has a public "id" (part of a
+// hash of the session id) so the session id itself never appears in a page.
+function listUserSessions(userId) {
+  return new Promise((resolve, reject) => {
+    sessionStore.all((err, sessions) => {
+      if (err) {
+        return reject(err);
+      }
+      const list = Object.entries(sessions || {})
+        .filter(([, data]) => data.passport && data.passport.user === userId)
+        .map(([sid, data]) => ({
+          sid,
+          id: publicSessionId(sid),
+          signedInAt: data.signedInAt ? new Date(data.signedInAt) : null,
+          lastSeenAt: data.lastSeenAt ? new Date(data.lastSeenAt) : null,
+          ip: data.ip || "",
+          userAgent: data.userAgent || ""
+        }))
+        .sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0));
+      resolve(list);
+    });
+  });
+}
+
+function publicSessionId(sid) {
+  return hashToken(sid).slice(0, 16);
+}
+
+function destroySession(sid) {
+  return new Promise((resolve, reject) => {
+    sessionStore.destroy(sid, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+// ====== Project Helpers ======
+
+// Caller's role on a task: personal tasks (no project) belong to their creator, who acts as owner;
+// project tasks use the caller's role in the project. The task's assignee can always edit it.
+// Returns null if the caller has no access.
+async function getTaskRole(userId, task) {
+  let role = null;
+  if (!task.projectId) {
+    role = task.userId && task.userId.toString() === userId ? "owner" : null;
+  } else {
+    const project = await Project.findById(task.projectId);
+    role = project ? project.roleOf(userId) : null;
+  }
+
+  if (task.assigneeId && task.assigneeId.toString() === userId && !Project.hasRole(role, "editor")) {
+    role = "editor";
+  }
+  return role;
+}
+
+// Load the task in req.params.id into req.task when the caller has at least minRole on it.
+// Answers with JSON for /api requests and redirects to the dashboard for form posts.
+// With { trashed: true } only a task in the trash is loaded (see the trash routes).
+function loadTask(minRole, { trashed = false } = {}) {
+  return async (req, res, next) => {
+    const isApi = req.originalUrl.startsWith("/api/");
+    const fail = (status, message) => {
+      if (isApi) {
+        return res.status(status).json({ error: message });
+      }
+      return res.redirect("/dashboard?error=" + encodeURIComponent(message));
+    };
+
+    try {
+      const task = !mongoose.isValidObjectId(req.params.id)
+        ? null
+        : trashed
+          ? await Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } }).setOptions({ withDeleted: true })
+          : await Task.findById(req.params.id);
+      const role = task ? await getTaskRole(req.user.id, task) : null;
+      if (!role) {
+        return fail(404, "Task not found");
+      }
+      if (!Project.hasRole(role, minRole)) {
+        return fail(403, "You have view-only access to this project");
+      }
+      req.task = task;
+      req.taskRole = role;
+      next();
+    } catch (err) {
+      console.error("Load task error:", err);
+      fail(500, "Failed to load task");
+    }
+  };
+}
+
+// Query filter selecting the tasks of a project, or the caller's personal tasks when projectId is empty.
+// Returns null if the project does not exist or the caller's role is below minRole.
+async function projectTaskFilter(userId, projectId, minRole) {
+  if (!projectId) {
+    return { projectId: null, userId };
+  }
+  if (!mongoose.isValidObjectId(projectId)) {
+    return null;
+  }
+  const project = await Project.findById(projectId);
+  const role = project ? project.roleOf(userId) : null;
+  return Project.hasRole(role, minRole) ? { projectId: project._id } : null;
+}
+
+// ====== Board Helpers ======
+
+// Document holding the board columns for a task list: the project, or the user for personal tasks.
+// New boards get the default columns the first time they are used.
+async function loadBoardOwner(userId, projectId) {
+  const owner = projectId ? await Project.findById(projectId) : await User.findById(userId);
+  if (owner && owner.boardColumns.length === 0) {
+    owner.boardColumns = DEFAULT_BOARD_COLUMNS;
+    await owner.save();
+  }
+  return owner;
+}
+
+// Column a task is shown in. A task stays in the column it was dropped in as long as that column
+// still exists and agrees with its status; otherwise it goes to the first column matching its status.
+function columnForTask(task, columns) {
+  const isDone = task.status === "done";
+  const placed = task.columnId && columns.find((column) => column._id.equals(task.columnId));
+  if (placed && placed.isDone === isDone) {
+    return placed;
+  }
+  return columns.find((column) => column.isDone === isDone) || columns[0];
+}
+
+// Group tasks into board columns, ordered by their position inside each column
+function buildBoard(tasks, columns) {
+  return columns.map((column) => ({
+    column,
+    tasks: tasks
+      .filter((task) => columnForTask(task, columns)._id.equals(column._id))
+      .sort((a, b) => a.boardOrder - b.boardOrder)
+  }));
+}
+
+// ====== Upload Helpers ======
+
+// Import files (.ics, .csv, .json) are small and parsed straight from memory
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
+
+// Accept one file in the "file" field as req.file, redirecting to redirectPath with an error if the upload fails
+function uploadImportFile(redirectPath) {
+  return (req, res, next) => {
+    importUpload.single("file")(req, res, (err) => {
+      if (err) {
+        const message = err.code === "LIMIT_FILE_SIZE" ? "The file is too large (max 1 MB)" : "Failed to upload file";
+        return res.redirect(redirectPath + "?error=" + encodeURIComponent(message));
+      }
+      next();
+    });
+  };
+}
+
 // ====== Routes: Pages ======
 
 // Redirect root to dashboard or login depending on auth state
@@ -216,33 +820,100 @@ app.get("/login", (req, res) => {
     return res.redirect("/dashboard");
   }
   const error = req.query.error ? decodeURIComponent(req.query.error) : null;
-  res.render("login", { error });
+  const success = req.query.success ? decodeURIComponent(req.query.success) : null;
+  res.render("login", { error, success });
 });
 
-// Handle login form submit
-app.post("/login", (req, res, next) => {
+// Handle login form submit. Locked-out usernames and IP addresses are refused before the password is checked.
+app.post("/login", async (req, res, next) => {
   const { username, password } = req.body;
   if (!username || !password) {
     return res.render("login", { error: "Please enter both username and password." });
   }
 
-  passport.authenticate("local", (err, user, info) => {
+  const keys = loginThrottleKeys(req, username);
+  try {
+    const lockout = await loginLockoutMessage(keys);
+    if (lockout) {
+      return res.status(429).render("login", { error: lockout });
+    }
+  } catch (err) {
+    console.error("Login throttle error:", err);
+    return res.render("login", { error: "Login failed. Try again later." });
+  }
+
+  passport.authenticate("local", async (err, user, info) => {
     if (err) {
       console.error("Login error:", err);
       return res.render("login", { error: "Login failed. Try again later." });
     }
     if (!user) {
+      await recordLoginFailures(keys).catch((throttleErr) => console.error("Login throttle error:", throttleErr));
       return res.render("login", { error: (info && info.message) || "Invalid username or password." });
     }
 
-    req.logIn(user, (loginErr) => {
+    finishLogin(req, res, user, (loginErr) => {
+      console.error("Login session error:", loginErr);
+      res.render("login", { error: "Login failed. Try again later." });
+    });
+  })(req, res, next);
+});
+
+// Second step of a login for accounts with two-factor authentication
+app.get("/login/two-factor", (req, res) => {
+  const pending = req.session.pendingLogin;
+  if (!pending || pending.expiresAt < Date.now()) {
+    return res.redirect("/login?error=" + encodeURIComponent("Please log in again."));
+  }
+  const error = req.query.error ? decodeURIComponent(req.query.error) : null;
+  res.render("login-two-factor", { error });
+});
+
+app.post("/login/two-factor", async (req, res) => {
+  const pending = req.session.pendingLogin;
+  if (!pending || pending.expiresAt < Date.now()) {
+    delete req.session.pendingLogin;
+    return res.redirect("/login?error=" + encodeURIComponent("The login has expired. Please log in again."));
+  }
+
+  try {
+    const user = await User.findById(pending.userId);
+    if (!user || !user.twoFactor.enabled) {
+      delete req.session.pendingLogin;
+      return res.redirect("/login?error=" + encodeURIComponent("Please log in again."));
+    }
+
+    // Wrong codes count as failed logins, so codes cannot be guessed faster than passwords
+    const keys = loginThrottleKeys(req, user.username);
+    const lockout = await loginLockoutMessage(keys);
+    if (lockout) {
+      delete req.session.pendingLogin;
+      return res.redirect("/login?error=" + encodeURIComponent(lockout));
+    }
+
+    const used = await useSecondFactor(user, req.body.code);
+    if (!used) {
+      await recordLoginFailures(keys);
+      return res.redirect("/login/two-factor?error=" + encodeURIComponent("That code is not valid. Try again."));
+    }
+
+    delete req.session.pendingLogin;
+    await clearLoginFailures(keys);
+    logInSession(req, user, (loginErr) => {
       if (loginErr) {
-        console.error("Login session error:", loginErr);
-        return res.render("login", { error: "Login failed. Try again later." });
+        console.error("Two-factor login session error:", loginErr);
+        return res.redirect("/login?error=" + encodeURIComponent("Login failed. Try again later."));
       }
-      return res.redirect("/dashboard");
+      if (used === "recovery") {
+        const left = user.twoFactor.recoveryCodeHashes.length - 1;
+        return res.redirect("/profile?success=" + encodeURIComponent(`Logged in with a recovery code. ${left} recovery code(s) left.`));
+      }
+      res.redirect("/dashboard");
     });
-  })(req, res, next);
+  } catch (err) {
+    console.error("Two-factor login error:", err);
+    res.redirect("/login?error=" + encodeURIComponent("Login failed. Try again later."));
+  }
 });
 
 // Show register form
@@ -257,10 +928,19 @@ app.get("/register", (req, res) => {
 // Handle registration (simple create)
 app.post("/register", async (req, res) => {
   const { username, password } = req.body;
+  const email = req.body.email ? req.body.email.toString().trim().toLowerCase() : "";
 
   if (!username || !password) {
     return res.render("register", { error: "Please choose a username and password." });
   }
+  if (email && !isValidEmail(email)) {
+    return res.render("register", { error: "Please enter a valid email address." });
+  }
+
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return res.render("register", { error: passwordError });
+  }
 
   try {
     const existingUser = await User.findOne({ username });
@@ -268,9 +948,19 @@ app.post("/register", async (req, res) => {
       return res.render("register", { error: "Username already exists." });
     }
 
-    const user = await User.create({ username, password, displayName: username });
+    const user = await User.create({
+      username,
+      password: await hashPassword(password),
+      displayName: username,
+      email: email || undefined
+    });
+
+    if (email) {
+      // The account works without a verified address, so a mail problem does not stop registration
+      await sendEmailVerification(user).catch((mailErr) => console.error("Send verification email error:", mailErr));
+    }
 
-    req.logIn(user, (loginErr) => {
+    logInSession(req, user, (loginErr) => {
       if (loginErr) {
         console.error("Register login error:", loginErr);
         return res.render("register", { error: "Account created, but login failed. Please try signing in." });
@@ -294,21 +984,44 @@ app.get("/auth/google", (req, res, next) => {
   })(req, res, next);
 });
 
-app.get(
-  "/auth/google/callback",
-  (req, res, next) => {
-    if (!googleAuthEnabled) {
-      return res.redirect("/login?error=" + encodeURIComponent("Google login is not configured."));
-    }
-    next();
-  },
+// Start linking a Google account to the logged-in user (see the Google strategy above)
+app.get("/auth/google/link", isLoggedIn, (req, res, next) => {
+  if (!googleAuthEnabled) {
+    return res.redirect("/profile?error=" + encodeURIComponent("Google login is not configured."));
+  }
+  req.session.linkGoogleUserId = req.user.id;
   passport.authenticate("google", {
-    failureRedirect: "/login?error=" + encodeURIComponent("Google login failed. Please try again.")
-  }),
-  (_req, res) => {
-    res.redirect("/dashboard");
+    scope: ["profile", "email"],
+    prompt: "select_account"
+  })(req, res, next);
+});
+
+app.get("/auth/google/callback", (req, res, next) => {
+  if (!googleAuthEnabled) {
+    return res.redirect("/login?error=" + encodeURIComponent("Google login is not configured."));
   }
-);
+
+  const linking = Boolean(req.session.linkGoogleUserId);
+  const failurePath = linking ? "/profile" : "/login";
+  passport.authenticate("google", (err, user, info) => {
+    delete req.session.linkGoogleUserId;
+    if (err) {
+      console.error("Google login error:", err);
+    }
+    if (err || !user) {
+      const message = (info && info.message) || "Google login failed. Please try again.";
+      return res.redirect(failurePath + "?error=" + encodeURIComponent(message));
+    }
+    if (linking) {
+      return res.redirect("/profile?success=" + encodeURIComponent("Google account linked. You can now log in with Google."));
+    }
+
+    finishLogin(req, res, user, (loginErr) => {
+      console.error("Google login session error:", loginErr);
+      res.redirect("/login?error=" + encodeURIComponent("Google login failed. Please try again."));
+    });
+  })(req, res, next);
+});
 
 // Log out and clear session
 app.post("/logout", (req, res, next) => {
@@ -327,14 +1040,19 @@ app.get("/change-password", isLoggedIn, (req, res) => {
   res.render("change-password", { error, success });
 });
 
-// Change password route
+// Change password route. Accounts created with Google have no password yet and can set a first one.
 app.post("/change-password", isLoggedIn, async (req, res) => {
   const { username, oldPassword, newPassword } = req.body;
 
-  if (!username || !oldPassword || !newPassword) {
+  if (!username || (req.user.hasPassword && !oldPassword) || !newPassword) {
     return res.redirect("/change-password?error=" + encodeURIComponent("All fields are required"));
   }
 
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    return res.redirect("/change-password?error=" + encodeURIComponent(passwordError));
+  }
+
   try {
     const user = await User.findOne({ username });
 
@@ -342,15 +1060,11 @@ app.post("/change-password", isLoggedIn, async (req, res) => {
       return res.redirect("/change-password?error=" + encodeURIComponent("You can only change your own password"));
     }
 
-    if (!user.password) {
-      return res.redirect("/change-password?error=" + encodeURIComponent("Google accounts cannot change password here"));
-    }
-
-    if (user.password !== oldPassword) {
+    if (user.password && !(await verifyPassword(user, oldPassword))) {
       return res.redirect("/change-password?error=" + encodeURIComponent("Old password is incorrect"));
     }
 
-    user.password = newPassword;
+    user.password = await hashPassword(newPassword);
     await user.save();
 
     res.redirect("/change-password?success=Password changed successfully");
@@ -360,190 +1074,5815 @@ app.post("/change-password", isLoggedIn, async (req, res) => {
   }
 });
 
-// Dashboard page: shows tasks for the current user
-app.get("/dashboard", isLoggedIn, async (req, res) => {
+// ====== Account Helpers ======
+// Email verification and password reset links carry a random token. Only its SHA-256 hash is stored
+// on the user (see hashToken), and a link stops working once used or expired.
+
+const EMAIL_TOKEN_HOURS = 24;
+const RESET_TOKEN_MINUTES = 60;
+
+// IANA time zone names offered on the profile page
+const TIMEZONES = ["UTC", ...Intl.supportedValuesOf("timeZone").filter((zone) => zone !== "UTC")];
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function generateAccountToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+// Current offset of an IANA time zone in minutes, with the sign used by Date.getTimezoneOffset()
+// (UTC+8 gives -480). Unknown time zones count as UTC.
+function timezoneOffsetOf(timeZone, now = new Date()) {
   try {
-    const tasks = await Task.find({ userId: req.user.id }).sort({
-      order: 1,
-      deadline: 1
-    });
+    const zoneName = new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "longOffset" })
+      .formatToParts(now)
+      .find((part) => part.type === "timeZoneName").value;
+    // "GMT+08:00", or just "GMT" for UTC
+    const match = zoneName.match(/^GMT([+-])(\d{2}):(\d{2})$/);
+    if (!match) {
+      return 0;
+    }
+    const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+    return match[1] === "+" ? -minutes : minutes;
+  } catch (err) {
+    return 0;
+  }
+}
+
+// Email a link to verify user.email, replacing any earlier link
+async function sendEmailVerification(user) {
+  const token = generateAccountToken();
+  user.emailTokenHash = hashToken(token);
+  user.emailTokenExpiresAt = new Date(Date.now() + EMAIL_TOKEN_HOURS * 60 * 60 * 1000);
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `Open this link to verify the email address of your Smart Task Manager account (${user.username}):\n\n` +
+      `${APP_URL}/verify-email/${token}\n\n` +
+      `The link expires in ${EMAIL_TOKEN_HOURS} hours. If you did not add this address, you can ignore this email.`
+  });
+}
+
+// Email a single-use password reset link to the user's verified address
+async function sendPasswordReset(user) {
+  const token = generateAccountToken();
+  user.passwordResetTokenHash = hashToken(token);
+  user.passwordResetExpiresAt = new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000);
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Someone asked to reset the password of your Smart Task Manager account (${user.username}).\n\n` +
+      `Choose a new password here: ${APP_URL}/reset-password/${token}\n\n` +
+      `The link expires in ${RESET_TOKEN_MINUTES} minutes and works once. If you did not ask for it, you can ignore this email.`
+  });
+}
+
+// User a password reset link belongs to, or null when the link is unknown or expired
+function findUserByResetToken(token) {
+  return User.findOne({
+    passwordResetTokenHash: hashToken(token.toString()),
+    passwordResetExpiresAt: { $gt: new Date() }
+  });
+}
+
+// Delete an account together with its personal tasks, the projects it is the only member of, and
+// what it owns elsewhere (tags, comments, attachments, time entries, webhooks, reminders). Shared
+// projects keep their tasks: the user leaves them and their assignments are cleared.
+// Returns { error } when the user is the only owner of a project that has other members.
+async function deleteUserAccount(user) {
+  const userId = user._id;
+  const projects = await Project.find({ "members.userId": userId });
+  const orphaned = projects.find(
+    (project) =>
+      project.members.length > 1 &&
+      project.roleOf(userId) === "owner" &&
+      project.members.filter((member) => member.role === "owner").length === 1
+  );
+  if (orphaned) {
+    return {
+      error: `You are the only owner of "${orphaned.name}". Make another member an owner, or delete the project, first.`
+    };
+  }
+
+  // Personal tasks and the tasks of projects nobody else belongs to, including the trash
+  const soleProjectIds = projects.filter((project) => project.members.length === 1).map((project) => project._id);
+  const tasks = await Task.find({ $or: [{ userId, projectId: null }, { projectId: { $in: soleProjectIds } }] }, "_id")
+    .setOptions({ withDeleted: true });
+  const taskIds = tasks.map((task) => task._id);
+  await Task.deleteMany({ _id: { $in: taskIds } });
+  await deleteTaskDiscussion(taskIds);
+  await removeDependencyLinks(taskIds);
+  await TimeEntry.deleteMany({ taskId: { $in: taskIds } });
+  await Activity.deleteMany({ taskId: { $in: taskIds } });
+  await Project.deleteMany({ _id: { $in: soleProjectIds } });
+
+  // Leave shared projects
+  await Project.updateMany({ "members.userId": userId }, { $pull: { members: { userId } } });
+  await Project.updateMany({ "invitations.userId": userId }, { $pull: { invitations: { userId } } });
+  await Task.updateMany({ assigneeId: userId }, { $unset: { assigneeId: 1 } });
+
+  // What the user added to other people's tasks
+  const attachments = await Attachment.find({ userId });
+  await Promise.all(attachments.map(removeAttachmentFile));
+  await Attachment.deleteMany({ userId });
+  const comments = await Comment.find({ userId, deletedAt: null });
+  for (const comment of comments) {
+    await deleteComment(comment);
+  }
+  await TimeEntry.deleteMany({ userId });
+
+  const tagIds = (await Tag.find({ userId }, "_id")).map((tag) => tag._id);
+  await Task.updateMany({ tagIds: { $in: tagIds } }, { $pull: { tagIds: { $in: tagIds } } });
+  await Tag.deleteMany({ userId });
+
+  await WebhookDelivery.deleteMany({ userId });
+  await Webhook.deleteMany({ userId });
+  await Reminder.deleteMany({ userId });
+  await TaskImport.deleteMany({ userId });
+  await User.deleteOne({ _id: userId });
+  return {};
+}
+
+// ====== Routes: Account ======
+
+// Profile page: display name, email address, time zone, sign-in methods, two-factor authentication,
+// active sessions and account deletion
+app.get("/profile", isLoggedIn, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    // Session ids stay on the server; the page only gets the public ids
+    const sessions = (await listUserSessions(req.user.id)).map(({ sid, ...entry }) => entry);
+    const error = req.query.error ? decodeURIComponent(req.query.error) : null;
+    const success = req.query.success ? decodeURIComponent(req.query.success) : null;
+    res.render("profile", {
+      user,
+      timezones: TIMEZONES,
+      googleAuthEnabled,
+      sessions,
+      currentSessionId: publicSessionId(req.sessionID),
+      error,
+      success
+    });
+  } catch (err) {
+    console.error("Profile page error:", err);
+    res.status(500).send("Error loading profile");
+  }
+});
+
+// Save the profile. A new email address has to be verified again.
+app.post("/profile", isLoggedIn, async (req, res) => {
+  const displayName = req.body.displayName ? req.body.displayName.toString().trim() : "";
+  const email = req.body.email ? req.body.email.toString().trim().toLowerCase() : "";
+  const timezone = req.body.timezone ? req.body.timezone.toString() : "UTC";
+
+  if (displayName.length > 50) {
+    return res.redirect("/profile?error=" + encodeURIComponent("Display name can be at most 50 characters"));
+  }
+  if (email && !isValidEmail(email)) {
+    return res.redirect("/profile?error=" + encodeURIComponent("Please enter a valid email address"));
+  }
+  if (!TIMEZONES.includes(timezone)) {
+    return res.redirect("/profile?error=" + encodeURIComponent("Please choose a time zone from the list"));
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    const emailChanged = email !== (user.email || "");
+    if (emailChanged && !email && user.reminderSettings.enabled) {
+      return res.redirect("/profile?error=" + encodeURIComponent("Turn off reminder emails before removing your email address"));
+    }
+
+    user.displayName = displayName || user.username;
+    user.timezone = timezone;
+    if (emailChanged) {
+      user.email = email || undefined;
+      user.emailVerified = false;
+      user.emailTokenHash = undefined;
+      user.emailTokenExpiresAt = undefined;
+    }
+    await user.save();
+
+    if (emailChanged && email) {
+      try {
+        await sendEmailVerification(user);
+      } catch (mailErr) {
+        console.error("Send verification email error:", mailErr);
+        return res.redirect("/profile?error=" + encodeURIComponent("Profile saved, but the verification email could not be sent. Try again later."));
+      }
+      return res.redirect("/profile?success=" + encodeURIComponent(`Profile saved. We sent a verification link to ${email}.`));
+    }
+    res.redirect("/profile?success=" + encodeURIComponent("Profile saved"));
+  } catch (err) {
+    console.error("Save profile error:", err);
+    res.redirect("/profile?error=" + encodeURIComponent("Failed to save profile. Try again later."));
+  }
+});
+
+// Send the verification link again
+app.post("/profile/verify-email", isLoggedIn, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user.email || user.emailVerified) {
+      return res.redirect("/profile?error=" + encodeURIComponent("There is no email address waiting to be verified"));
+    }
+    await sendEmailVerification(user);
+    res.redirect("/profile?success=" + encodeURIComponent(`Verification link sent to ${user.email}`));
+  } catch (err) {
+    console.error("Resend verification email error:", err);
+    res.redirect("/profile?error=" + encodeURIComponent("Failed to send the verification email. Try again later."));
+  }
+});
+
+// Verification link from the email. Works without being logged in.
+app.get("/verify-email/:token", async (req, res) => {
+  const donePath = req.isAuthenticated && req.isAuthenticated() ? "/profile" : "/login";
+  try {
+    const user = await User.findOne({
+      emailTokenHash: hashToken(req.params.token),
+      emailTokenExpiresAt: { $gt: new Date() }
+    });
+    if (!user) {
+      return res.redirect(donePath + "?error=" + encodeURIComponent("This verification link is invalid or has expired"));
+    }
+    if (await User.exists({ _id: { $ne: user._id }, email: user.email, emailVerified: true })) {
+      return res.redirect(donePath + "?error=" + encodeURIComponent("This email address is already used by another account"));
+    }
+
+    user.emailVerified = true;
+    user.emailTokenHash = undefined;
+    user.emailTokenExpiresAt = undefined;
+    await user.save();
+    res.redirect(donePath + "?success=" + encodeURIComponent(`Email address ${user.email} verified`));
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.redirect(donePath + "?error=" + encodeURIComponent("Failed to verify the email address. Try again later."));
+  }
+});
+
+// Forgotten password: ask for a reset link
+app.get("/forgot-password", (req, res) => {
+  const error = req.query.error ? decodeURIComponent(req.query.error) : null;
+  const success = req.query.success ? decodeURIComponent(req.query.success) : null;
+  res.render("forgot-password", { error, success });
+});
+
+// The answer is the same whether or not an account matches, so the form cannot be used to find accounts
+app.post("/forgot-password", async (req, res) => {
+  const identifier = req.body.identifier ? req.body.identifier.toString().trim() : "";
+  if (!identifier) {
+    return res.redirect("/forgot-password?error=" + encodeURIComponent("Please enter your username or email address"));
+  }
+
+  try {
+    const user = await User.findOne({
+      $or: [{ username: identifier }, { email: identifier.toLowerCase(), emailVerified: true }]
+    });
+    if (user && user.email && user.emailVerified) {
+      await sendPasswordReset(user);
+    }
+  } catch (err) {
+    console.error("Forgot password error:", err);
+  }
+  res.redirect(
+    "/forgot-password?success=" +
+      encodeURIComponent("If the account has a verified email address, a reset link is on its way. It expires in " + RESET_TOKEN_MINUTES + " minutes.")
+  );
+});
+
+// Reset link from the email: choose a new password
+app.get("/reset-password/:token", async (req, res) => {
+  try {
+    const user = await findUserByResetToken(req.params.token);
+    if (!user) {
+      return res.redirect("/forgot-password?error=" + encodeURIComponent("This reset link is invalid or has expired"));
+    }
+    const error = req.query.error ? decodeURIComponent(req.query.error) : null;
+    res.render("reset-password", { token: req.params.token, username: user.username, error });
+  } catch (err) {
+    console.error("Reset password page error:", err);
+    res.status(500).send("Error loading reset page");
+  }
+});
+
+app.post("/reset-password/:token", async (req, res) => {
+  const { newPassword, confirmPassword } = req.body;
+  const retryPath = `/reset-password/${encodeURIComponent(req.params.token)}?error=`;
+
+  if (!newPassword || newPassword !== confirmPassword) {
+    return res.redirect(retryPath + encodeURIComponent("The two passwords do not match"));
+  }
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    return res.redirect(retryPath + encodeURIComponent(passwordError));
+  }
+
+  try {
+    const user = await findUserByResetToken(req.params.token);
+    if (!user) {
+      return res.redirect("/forgot-password?error=" + encodeURIComponent("This reset link is invalid or has expired"));
+    }
+    user.password = await hashPassword(newPassword);
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpiresAt = undefined;
+    await user.save();
+
+    // Whoever knew the old password is logged out everywhere
+    const sessions = await listUserSessions(user._id.toString());
+    await Promise.all(sessions.map((entry) => destroySession(entry.sid)));
+    res.redirect("/login?success=" + encodeURIComponent("Password reset. You can now log in with your new password."));
+  } catch (err) {
+    console.error("Reset password error:", err);
+    res.redirect(retryPath + encodeURIComponent("Failed to reset password. Try again later."));
+  }
+});
+
+// Unlink Google. Needs the account's password, which is then the only way to log in.
+app.post("/profile/unlink-google", isLoggedIn, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user.googleId) {
+      return res.redirect("/profile?error=" + encodeURIComponent("No Google account is linked"));
+    }
+    if (!user.password) {
+      return res.redirect("/profile?error=" + encodeURIComponent("Set a password first, or you will not be able to log in"));
+    }
+    if (!(await verifyPassword(user, req.body.password || ""))) {
+      return res.redirect("/profile?error=" + encodeURIComponent("Password is incorrect"));
+    }
+    user.googleId = undefined;
+    await user.save();
+    res.redirect("/profile?success=" + encodeURIComponent("Google account unlinked"));
+  } catch (err) {
+    console.error("Unlink Google error:", err);
+    res.redirect("/profile?error=" + encodeURIComponent("Failed to unlink Google. Try again later."));
+  }
+});
+
+// Two-factor set-up page: a QR code for a new secret, kept in the session until a code confirms it
+app.get("/profile/two-factor", isLoggedIn, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user.twoFactor.enabled) {
+      return res.redirect("/profile");
+    }
+    if (!req.session.pendingTotpSecret) {
+      req.session.pendingTotpSecret = generateTotpSecret();
+    }
+    const error = req.query.error ? decodeURIComponent(req.query.error) : null;
+    res.render("two-factor", {
+      secret: req.session.pendingTotpSecret,
+      otpauthUri: totpUri(req.session.pendingTotpSecret, user.username),
+      recoveryCodes: null,
+      error
+    });
+  } catch (err) {
+    console.error("Two-factor setup page error:", err);
+    res.status(500).send("Error loading two-factor setup");
+  }
+});
+
+// Turn two-factor authentication on once the app shows a matching code. The recovery codes are shown once.
+app.post("/profile/two-factor/enable", isLoggedIn, async (req, res) => {
+  const secret = req.session.pendingTotpSecret;
+  if (!secret) {
+    return res.redirect("/profile/two-factor");
+  }
+
+  const step = matchTotpStep(secret, (req.body.code || "").toString().replace(/\s+/g, ""));
+  if (step === null) {
+    return res.redirect("/profile/two-factor?error=" + encodeURIComponent("That code does not match. Check the time on your phone and try again."));
+  }
+
+  try {
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: req.user.id },
+      { twoFactor: { enabled: true, secret, recoveryCodeHashes: hashes, lastUsedStep: step } }
+    );
+    delete req.session.pendingTotpSecret;
+    res.render("two-factor", { secret: null, otpauthUri: null, recoveryCodes: codes, error: null });
+  } catch (err) {
+    console.error("Enable two-factor error:", err);
+    res.redirect("/profile/two-factor?error=" + encodeURIComponent("Failed to turn on two-factor authentication. Try again later."));
+  }
+});
+
+// Replace the recovery codes, confirmed with a current code
+app.post("/profile/two-factor/recovery-codes", isLoggedIn, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user.twoFactor.enabled) {
+      return res.redirect("/profile?error=" + encodeURIComponent("Two-factor authentication is not on"));
+    }
+    if (!(await useSecondFactor(user, req.body.code))) {
+      return res.redirect("/profile?error=" + encodeURIComponent("That code is not valid"));
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { "twoFactor.recoveryCodeHashes": hashes });
+    res.render("two-factor", { secret: null, otpauthUri: null, recoveryCodes: codes, error: null });
+  } catch (err) {
+    console.error("Recovery codes error:", err);
+    res.redirect("/profile?error=" + encodeURIComponent("Failed to create recovery codes. Try again later."));
+  }
+});
+
+// Turn two-factor authentication off, confirmed with a code (and the password, if the account has one)
+app.post("/profile/two-factor/disable", isLoggedIn, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user.twoFactor.enabled) {
+      return res.redirect("/profile?error=" + encodeURIComponent("Two-factor authentication is not on"));
+    }
+    if (user.password && !(await verifyPassword(user, req.body.password || ""))) {
+      return res.redirect("/profile?error=" + encodeURIComponent("Password is incorrect"));
+    }
+    if (!(await useSecondFactor(user, req.body.code))) {
+      return res.redirect("/profile?error=" + encodeURIComponent("That code is not valid"));
+    }
+
+    await User.updateOne({ _id: user._id }, { twoFactor: { enabled: false, recoveryCodeHashes: [] } });
+    res.redirect("/profile?success=" + encodeURIComponent("Two-factor authentication turned off"));
+  } catch (err) {
+    console.error("Disable two-factor error:", err);
+    res.redirect("/profile?error=" + encodeURIComponent("Failed to turn off two-factor authentication. Try again later."));
+  }
+});
+
+// Log out one of the user's other sessions
+app.post("/profile/sessions/:id/revoke", isLoggedIn, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.id);
+    const target = sessions.find((entry) => entry.id === req.params.id);
+    if (!target) {
+      return res.redirect("/profile?error=" + encodeURIComponent("Session not found"));
+    }
+    if (target.sid === req.sessionID) {
+      return res.redirect("/profile?error=" + encodeURIComponent("Use Logout to end this session"));
+    }
+    await destroySession(target.sid);
+    res.redirect("/profile?success=" + encodeURIComponent("Session logged out"));
+  } catch (err) {
+    console.error("Revoke session error:", err);
+    res.redirect("/profile?error=" + encodeURIComponent("Failed to log out the session. Try again later."));
+  }
+});
+
+// Log out every session of the user except this one
+app.post("/profile/sessions/revoke-others", isLoggedIn, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.id);
+    const others = sessions.filter((entry) => entry.sid !== req.sessionID);
+    await Promise.all(others.map((entry) => destroySession(entry.sid)));
+    res.redirect("/profile?success=" + encodeURIComponent(`Logged out ${others.length} other session(s)`));
+  } catch (err) {
+    console.error("Revoke sessions error:", err);
+    res.redirect("/profile?error=" + encodeURIComponent("Failed to log out the other sessions. Try again later."));
+  }
+});
+
+// Delete the account for good, confirmed with the username (and the password, if the account has one)
+app.post("/profile/delete", isLoggedIn, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (req.body.confirmUsername !== user.username) {
+      return res.redirect("/profile?error=" + encodeURIComponent("Type your username to confirm"));
+    }
+    if (user.password && !(await verifyPassword(user, req.body.password || ""))) {
+      return res.redirect("/profile?error=" + encodeURIComponent("Password is incorrect"));
+    }
+
+    const result = await deleteUserAccount(user);
+    if (result.error) {
+      return res.redirect("/profile?error=" + encodeURIComponent(result.error));
+    }
+
+    req.logout((err) => {
+      if (err) {
+        return next(err);
+      }
+      res.redirect("/login?success=" + encodeURIComponent("Your account and its tasks have been deleted."));
+    });
+  } catch (err) {
+    console.error("Delete account error:", err);
+    res.redirect("/profile?error=" + encodeURIComponent("Failed to delete account. Try again later."));
+  }
+});
+
+// ====== Routes: API Tokens ======
+
+// Render the API token page with the current user's tokens (newest first)
+async function renderApiTokens(req, res, locals) {
+  const user = await User.findById(req.user.id);
+  const tokens = (user ? user.apiTokens : []).slice().sort((a, b) => b.createdAt - a.createdAt);
+  res.render("api-tokens", { tokens, error: null, success: null, newToken: null, ...locals });
+}
+
+// API tokens page: list, create and revoke personal access tokens
+app.get("/tokens", isLoggedIn, async (req, res) => {
+  try {
+    const error = req.query.error ? decodeURIComponent(req.query.error) : null;
+    const success = req.query.success ? decodeURIComponent(req.query.success) : null;
+    await renderApiTokens(req, res, { error, success });
+  } catch (err) {
+    console.error("API tokens page error:", err);
+    res.status(500).send("Error loading API tokens");
+  }
+});
+
+// Create a new token. The raw token is rendered once and never stored.
+app.post("/tokens", isLoggedIn, async (req, res) => {
+  const name = req.body.name ? req.body.name.toString().trim() : "";
+  const scope = req.body.scope === "write" ? "write" : "read";
+
+  if (!name) {
+    return res.redirect("/tokens?error=" + encodeURIComponent("Please give the token a name"));
+  }
+
+  try {
+    const token = generateApiToken();
+    await User.updateOne(
+      { _id: req.user.id },
+      {
+        $push: {
+          apiTokens: {
+            name,
+            scope,
+            tokenHash: hashToken(token),
+            tokenPreview: token.slice(-4)
+          }
+        }
+      }
+    );
+    await renderApiTokens(req, res, {
+      success: "Token created. Copy it now, it will not be shown again.",
+      newToken: token
+    });
+  } catch (err) {
+    console.error("Create API token error:", err);
+    res.redirect("/tokens?error=" + encodeURIComponent("Failed to create token. Try again later."));
+  }
+});
+
+// Revoke (delete) one of the current user's tokens
+app.post("/tokens/:id/revoke", isLoggedIn, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user.id, "apiTokens._id": req.params.id },
+      { $pull: { apiTokens: { _id: req.params.id } } }
+    );
+    if (!result.modifiedCount) {
+      return res.redirect("/tokens?error=" + encodeURIComponent("Token not found"));
+    }
+    res.redirect("/tokens?success=" + encodeURIComponent("Token revoked"));
+  } catch (err) {
+    console.error("Revoke API token error:", err);
+    res.redirect("/tokens?error=" + encodeURIComponent("Failed to revoke token. Try again later."));
+  }
+});
+
+// Dashboard page: shows the tasks of the selected project (or the user's personal tasks)
+app.get("/dashboard", isLoggedIn, async (req, res) => {
+  try {
+    const projects = await Project.find({ "members.userId": req.user.id }).sort({ name: 1 });
+    const invitations = await Project.find({ "invitations.userId": req.user.id }).populate("invitations.invitedBy", "username");
+
+    // Fall back to personal tasks if the selected project was deleted or the user was removed from it
+    let currentProject = projects.find((project) => project._id.toString() === req.session.projectId) || null;
+    if (!currentProject && req.session.projectId) {
+      delete req.session.projectId;
+    }
+    const currentRole = currentProject ? currentProject.roleOf(req.user.id) : "owner";
+
+    // "Assigned to me" shows tasks assigned to the user across all projects; the choice is kept in the session
+    if (req.query.view) {
+      req.session.taskView = req.query.view === "assigned" ? "assigned" : "all";
+    }
+    const assignedView = req.session.taskView === "assigned";
+    let taskFilter = currentProject ? { projectId: currentProject._id } : { projectId: null, userId: req.user.id };
+    const trashCount = await Task.countDocuments({ ...taskFilter, deletedAt: { $ne: null } }).setOptions({ withDeleted: true });
+    if (assignedView) {
+      taskFilter = { assigneeId: req.user.id };
+    }
+
+    // Search and filter bar (same parameters as GET /api/tasks)
+    const filters = {
+      q: req.query.q || "",
+      status: req.query.status || "",
+      priority: req.query.priority || "",
+      tag: req.query.tag || "",
+      deadlineFrom: req.query.deadlineFrom || "",
+      deadlineTo: req.query.deadlineTo || "",
+      overdue: req.query.overdue === "true" ? "true" : "",
+      sort: req.query.sort || ""
+    };
+    const taskQuery = buildTaskQuery(filters);
+    const filterError = taskQuery.error || null;
+    const isFiltered = Object.values(filters).some(Boolean);
+
+    const tasks = await Task.find(filterError ? taskFilter : { $and: [taskFilter, taskQuery.filter] })
+      .sort(filterError || !filters.sort ? { order: 1, deadline: 1 } : taskQuery.sort)
+      .populate("assigneeId", "username displayName")
+      .populate("tagIds", "name color userId");
+    const tags = await Tag.find({ userId: req.user.id }).sort({ name: 1 });
+
+    // Kanban board columns of the current project (or the user's personal board)
+    const boardOwner = await loadBoardOwner(req.user.id, currentProject && !assignedView ? currentProject._id : null);
+    const board = buildBoard(tasks, boardOwner.boardColumns);
+    // Tasks still waiting for a pending blocker are flagged in the list
+    const blockedTaskIds = await findBlockedTaskIds(tasks);
+    // Time tracked on each task and the user's running timer
+    const timeTotals = await timeTotalsByTask(tasks.map((task) => task._id));
+    const runningTimer = await findRunningTimer(req.user.id);
+
+    // Usernames offered when assigning a task: members of the current project
+    const assignableUsers = currentProject
+      ? await User.find({ _id: { $in: currentProject.members.map((member) => member.userId) } }, "username displayName")
+      : [];
+    // Subscription URL of the user's calendar feed, if turned on
+    const account = await User.findById(req.user.id, "calendarFeedToken");
+    const calendarFeedUrl = account && account.calendarFeedToken ? `${APP_URL}/calendar/${account.calendarFeedToken}.ics` : null;
+
+    const error = req.query.error ? decodeURIComponent(req.query.error) : filterError;
+    const success = req.query.success ? decodeURIComponent(req.query.success) : null;
+    res.render("dashboard", {
+      tasks,
+      filters,
+      isFiltered,
+      tags,
+      board,
+      blockedTaskIds,
+      timeTotals,
+      runningTimer,
+      error,
+      success,
+      projects,
+      currentProject,
+      currentRole,
+      // Assigned tasks are always editable by their assignee
+      canEdit: assignedView || Project.hasRole(currentRole, "editor"),
+      assignedView,
+      assignableUsers,
+      calendarFeedUrl,
+      trashCount,
+      invitations: invitations.map((project) => ({
+        project,
+        invitation: project.invitations.find((invite) => invite.userId.toString() === req.user.id)
+      }))
+    });
+  } catch (err) {
+    console.error("Dashboard error:", err);
+    res.status(500).send("Error loading dashboard");
+  }
+});
+
+// One task as it appears in the dashboard list, used by the live updates to redraw it
+app.get("/dashboard/tasks/:id", isLoggedIn, loadTask("viewer"), async (req, res) => {
+  try {
+    const task = await Task.findById(req.task._id)
+      .populate("assigneeId", "username displayName")
+      .populate("tagIds", "name color userId");
+    const tags = await Tag.find({ userId: req.user.id }).sort({ name: 1 });
+    const runningTimer = await findRunningTimer(req.user.id);
+    res.render("partials/task-item", {
+      task,
+      canEdit: Project.hasRole(req.taskRole, "editor"),
+      tags,
+      blockedTaskIds: await findBlockedTaskIds([task]),
+      timeTotals: await timeTotalsByTask([task._id]),
+      runningTaskId: runningTimer && runningTimer.taskId ? runningTimer.taskId._id.toString() : null
+    });
+  } catch (err) {
+    console.error("Dashboard task error:", err);
+    res.status(500).send("Error loading task");
+  }
+});
+
+// ====== Routes: Projects ======
+
+// Load the project in req.params.id into req.project when the caller has at least minRole in it
+function loadProject(minRole) {
+  return async (req, res, next) => {
+    try {
+      const project = mongoose.isValidObjectId(req.params.id)
+        ? await Project.findById(req.params.id).populate("members.userId invitations.userId", "username displayName")
+        : null;
+      const role = project ? project.roleOf(req.user.id) : null;
+      if (!role) {
+        return res.redirect("/dashboard?error=" + encodeURIComponent("Project not found"));
+      }
+      if (!Project.hasRole(role, minRole)) {
+        return res.redirect(`/projects/${project._id}?error=` + encodeURIComponent("Only project owners can do that"));
+      }
+      req.project = project;
+      req.projectRole = role;
+      next();
+    } catch (err) {
+      console.error("Load project error:", err);
+      res.redirect("/dashboard?error=" + encodeURIComponent("Failed to load project"));
+    }
+  };
+}
+
+// A project must always keep at least one owner
+function countOwners(project) {
+  return project.members.filter((member) => member.role === "owner").length;
+}
+
+// Create a new project owned by the current user and switch to it
+app.post("/projects", isLoggedIn, async (req, res) => {
+  const name = req.body.name ? req.body.name.toString().trim() : "";
+  if (!name) {
+    return res.redirect("/dashboard?error=" + encodeURIComponent("Please give the project a name"));
+  }
+
+  try {
+    const project = await Project.create({
+      name,
+      members: [{ userId: req.user.id, role: "owner" }]
+    });
+    req.session.projectId = project._id.toString();
+    res.redirect("/dashboard?success=" + encodeURIComponent(`Project "${project.name}" created`));
+  } catch (err) {
+    console.error("Create project error:", err);
+    res.redirect("/dashboard?error=" + encodeURIComponent("Failed to create project. Try again later."));
+  }
+});
+
+// Switch the dashboard to another project ("" switches back to personal tasks)
+app.post("/projects/switch", isLoggedIn, async (req, res) => {
+  const { projectId } = req.body;
+  if (!projectId) {
+    delete req.session.projectId;
+    return res.redirect("/dashboard");
+  }
+
+  try {
+    const filter = await projectTaskFilter(req.user.id, projectId, "viewer");
+    if (!filter) {
+      return res.redirect("/dashboard?error=" + encodeURIComponent("Project not found"));
+    }
+    req.session.projectId = projectId.toString();
+    res.redirect("/dashboard");
+  } catch (err) {
+    console.error("Switch project error:", err);
+    res.redirect("/dashboard?error=" + encodeURIComponent("Failed to switch project"));
+  }
+});
+
+// Project settings page: members, roles and invitations
+app.get("/projects/:id", isLoggedIn, loadProject("viewer"), (req, res) => {
+  const error = req.query.error ? decodeURIComponent(req.query.error) : null;
+  const success = req.query.success ? decodeURIComponent(req.query.success) : null;
+  res.render("project", {
+    project: req.project,
+    role: req.projectRole,
+    roles: Project.ROLES,
+    error,
+    success
+  });
+});
+
+// Rename a project
+app.post("/projects/:id/rename", isLoggedIn, loadProject("owner"), async (req, res) => {
+  const name = req.body.name ? req.body.name.toString().trim() : "";
+  const projectUrl = `/projects/${req.project._id}`;
+  if (!name) {
+    return res.redirect(projectUrl + "?error=" + encodeURIComponent("Project name is required"));
+  }
+
+  try {
+    await Project.updateOne({ _id: req.project._id }, { name });
+    res.redirect(projectUrl + "?success=" + encodeURIComponent("Project renamed"));
+  } catch (err) {
+    console.error("Rename project error:", err);
+    res.redirect(projectUrl + "?error=" + encodeURIComponent("Failed to rename project"));
+  }
+});
+
+// Invite a registered user by username
+app.post("/projects/:id/invitations", isLoggedIn, loadProject("owner"), async (req, res) => {
+  const username = req.body.username ? req.body.username.toString().trim() : "";
+  const role = Project.ROLES.includes(req.body.role) ? req.body.role : "editor";
+  const projectUrl = `/projects/${req.project._id}`;
+
+  if (!username) {
+    return res.redirect(projectUrl + "?error=" + encodeURIComponent("Please enter a username"));
+  }
+
+  try {
+    const invitee = await User.findOne({ username });
+    if (!invitee) {
+      return res.redirect(projectUrl + "?error=" + encodeURIComponent(`No user named "${username}"`));
+    }
+    if (req.project.roleOf(invitee._id)) {
+      return res.redirect(projectUrl + "?error=" + encodeURIComponent(`${username} is already a member`));
+    }
+    if (req.project.invitations.some((invite) => invite.userId._id.equals(invitee._id))) {
+      return res.redirect(projectUrl + "?error=" + encodeURIComponent(`${username} has already been invited`));
+    }
+
+    await Project.updateOne(
+      { _id: req.project._id },
+      { $push: { invitations: { userId: invitee._id, role, invitedBy: req.user.id } } }
+    );
+    res.redirect(projectUrl + "?success=" + encodeURIComponent(`Invitation sent to ${username}`));
+  } catch (err) {
+    console.error("Invite member error:", err);
+    res.redirect(projectUrl + "?error=" + encodeURIComponent("Failed to send invitation"));
+  }
+});
+
+// Cancel a pending invitation
+app.post("/projects/:id/invitations/:invitationId/cancel", isLoggedIn, loadProject("owner"), async (req, res) => {
+  try {
+    await Project.updateOne(
+      { _id: req.project._id },
+      { $pull: { invitations: { _id: req.params.invitationId } } }
+    );
+    res.redirect(`/projects/${req.project._id}?success=` + encodeURIComponent("Invitation cancelled"));
+  } catch (err) {
+    console.error("Cancel invitation error:", err);
+    res.redirect(`/projects/${req.project._id}?error=` + encodeURIComponent("Failed to cancel invitation"));
+  }
+});
+
+// Accept or decline an invitation addressed to the current user
+app.post("/projects/:id/invitations/respond", isLoggedIn, async (req, res) => {
+  const accept = req.body.accept === "true";
+
+  try {
+    const project = mongoose.isValidObjectId(req.params.id) ? await Project.findById(req.params.id) : null;
+    const invitation = project && project.invitations.find((invite) => invite.userId.toString() === req.user.id);
+    if (!invitation) {
+      return res.redirect("/dashboard?error=" + encodeURIComponent("Invitation not found"));
+    }
+
+    invitation.deleteOne();
+    if (accept && !project.roleOf(req.user.id)) {
+      project.members.push({ userId: req.user.id, role: invitation.role });
+    }
+    await project.save();
+
+    if (!accept) {
+      return res.redirect("/dashboard?success=" + encodeURIComponent("Invitation declined"));
+    }
+    req.session.projectId = project._id.toString();
+    res.redirect("/dashboard?success=" + encodeURIComponent(`You joined "${project.name}"`));
+  } catch (err) {
+    console.error("Respond to invitation error:", err);
+    res.redirect("/dashboard?error=" + encodeURIComponent("Failed to respond to invitation"));
+  }
+});
+
+// Change a member's role
+app.post("/projects/:id/members/:userId/role", isLoggedIn, loadProject("owner"), async (req, res) => {
+  const project = req.project;
+  const projectUrl = `/projects/${project._id}`;
+  const member = project.members.find((m) => m.userId._id.toString() === req.params.userId);
+
+  if (!member || !Project.ROLES.includes(req.body.role)) {
+    return res.redirect(projectUrl + "?error=" + encodeURIComponent("Member or role not found"));
+  }
+  if (member.role === "owner" && req.body.role !== "owner" && countOwners(project) === 1) {
+    return res.redirect(projectUrl + "?error=" + encodeURIComponent("A project needs at least one owner"));
+  }
+
+  try {
+    member.role = req.body.role;
+    await project.save();
+    res.redirect(projectUrl + "?success=" + encodeURIComponent("Role updated"));
+  } catch (err) {
+    console.error("Change member role error:", err);
+    res.redirect(projectUrl + "?error=" + encodeURIComponent("Failed to change role"));
+  }
+});
+
+// Remove a member (owners), or leave the project (any member removing themselves)
+app.post("/projects/:id/members/:userId/remove", isLoggedIn, loadProject("viewer"), async (req, res) => {
+  const project = req.project;
+  const projectUrl = `/projects/${project._id}`;
+  const leaving = req.params.userId === req.user.id;
+
+  if (!leaving && req.projectRole !== "owner") {
+    return res.redirect(projectUrl + "?error=" + encodeURIComponent("Only project owners can do that"));
+  }
+
+  const member = project.members.find((m) => m.userId._id.toString() === req.params.userId);
+  if (!member) {
+    return res.redirect(projectUrl + "?error=" + encodeURIComponent("Member not found"));
+  }
+  if (member.role === "owner" && countOwners(project) === 1) {
+    return res.redirect(projectUrl + "?error=" + encodeURIComponent("A project needs at least one owner"));
+  }
+
+  try {
+    await Project.updateOne({ _id: project._id }, { $pull: { members: { userId: member.userId._id } } });
+    // Being assignee gives edit access, so former members lose their assignments in the project
+    await Task.updateMany({ projectId: project._id, assigneeId: member.userId._id }, { $unset: { assigneeId: 1 } });
+    if (leaving) {
+      delete req.session.projectId;
+      return res.redirect("/dashboard?success=" + encodeURIComponent(`You left "${project.name}"`));
+    }
+    res.redirect(projectUrl + "?success=" + encodeURIComponent("Member removed"));
+  } catch (err) {
+    console.error("Remove member error:", err);
+    res.redirect(projectUrl + "?error=" + encodeURIComponent("Failed to remove member"));
+  }
+});
+
+// Delete a project together with all of its tasks
+app.post("/projects/:id/delete", isLoggedIn, loadProject("owner"), async (req, res) => {
+  try {
+    const tasks = await Task.find({ projectId: req.project._id }).setOptions({ withDeleted: true });
+    await Task.deleteMany({ projectId: req.project._id });
+    await deleteTaskDiscussion(tasks.map((task) => task._id));
+    await removeDependencyLinks(tasks.map((task) => task._id));
+    await recordActivity(tasks.map((task) => taskActivity(req.user.id, "purge", task, taskSnapshot(task))));
+    await Project.deleteOne({ _id: req.project._id });
+    delete req.session.projectId;
+    res.redirect("/dashboard?success=" + encodeURIComponent(`Project "${req.project.name}" deleted`));
+  } catch (err) {
+    console.error("Delete project error:", err);
+    res.redirect(`/projects/${req.project._id}?error=` + encodeURIComponent("Failed to delete project"));
+  }
+});
+
+// ====== Routes: Board Columns ======
+
+// Load the board of the project selected on the dashboard (or the personal board) into
+// req.boardOwner. Only project owners may change a shared board's columns.
+async function loadCurrentBoard(req, res, next) {
+  try {
+    let projectId = null;
+    if (req.session.projectId) {
+      const project = await Project.findById(req.session.projectId);
+      if (project && project.roleOf(req.user.id)) {
+        if (project.roleOf(req.user.id) !== "owner") {
+          return res.redirect("/dashboard?error=" + encodeURIComponent("Only project owners can change the board columns"));
+        }
+        projectId = project._id;
+      }
+    }
+    req.boardOwner = await loadBoardOwner(req.user.id, projectId);
+    req.boardName = projectId ? req.boardOwner.name : "Personal tasks";
+    next();
+  } catch (err) {
+    console.error("Load board error:", err);
+    res.redirect("/dashboard?error=" + encodeURIComponent("Failed to load board"));
+  }
+}
+
+// A board needs at least one open column and one done column
+function hasOpenAndDoneColumns(columns) {
+  return columns.some((column) => column.isDone) && columns.some((column) => !column.isDone);
+}
+
+// Board column settings page
+app.get("/board/columns", isLoggedIn, loadCurrentBoard, (req, res) => {
+  const error = req.query.error ? decodeURIComponent(req.query.error) : null;
+  const success = req.query.success ? decodeURIComponent(req.query.success) : null;
+  res.render("board-columns", {
+    columns: req.boardOwner.boardColumns,
+    boardName: req.boardName,
+    error,
+    success
+  });
+});
+
+// Add a column at the end of the board
+app.post("/board/columns", isLoggedIn, loadCurrentBoard, async (req, res) => {
+  const name = req.body.name ? req.body.name.toString().trim() : "";
+  if (!name || name.length > 40) {
+    return res.redirect("/board/columns?error=" + encodeURIComponent("Column name is required (up to 40 characters)"));
+  }
+
+  try {
+    req.boardOwner.boardColumns.push({ name, isDone: req.body.isDone === "true" });
+    await req.boardOwner.save();
+    res.redirect("/board/columns?success=" + encodeURIComponent(`Column "${name}" added`));
+  } catch (err) {
+    console.error("Add board column error:", err);
+    res.redirect("/board/columns?error=" + encodeURIComponent("Failed to add column"));
+  }
+});
+
+// Rename a column or change whether it counts as done
+app.post("/board/columns/:columnId", isLoggedIn, loadCurrentBoard, async (req, res) => {
+  const column = req.boardOwner.boardColumns.id(req.params.columnId);
+  const name = req.body.name ? req.body.name.toString().trim() : "";
+  if (!column) {
+    return res.redirect("/board/columns?error=" + encodeURIComponent("Column not found"));
+  }
+  if (!name || name.length > 40) {
+    return res.redirect("/board/columns?error=" + encodeURIComponent("Column name is required (up to 40 characters)"));
+  }
+
+  column.name = name;
+  column.isDone = req.body.isDone === "true";
+  if (!hasOpenAndDoneColumns(req.boardOwner.boardColumns)) {
+    return res.redirect("/board/columns?error=" + encodeURIComponent("The board needs at least one open and one done column"));
+  }
+
+  try {
+    await req.boardOwner.save();
+    res.redirect("/board/columns?success=" + encodeURIComponent("Column updated"));
+  } catch (err) {
+    console.error("Update board column error:", err);
+    res.redirect("/board/columns?error=" + encodeURIComponent("Failed to update column"));
+  }
+});
+
+// Move a column one place left ("up") or right ("down")
+app.post("/board/columns/:columnId/move", isLoggedIn, loadCurrentBoard, async (req, res) => {
+  const columns = req.boardOwner.boardColumns;
+  const index = columns.findIndex((column) => column._id.toString() === req.params.columnId);
+  const target = req.body.direction === "up" ? index - 1 : index + 1;
+  if (index === -1 || target < 0 || target >= columns.length) {
+    return res.redirect("/board/columns");
+  }
+
+  try {
+    const reordered = columns.map((column) => column.toObject());
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    req.boardOwner.boardColumns = reordered;
+    await req.boardOwner.save();
+    res.redirect("/board/columns");
+  } catch (err) {
+    console.error("Move board column error:", err);
+    res.redirect("/board/columns?error=" + encodeURIComponent("Failed to move column"));
+  }
+});
+
+// Delete a column; its tasks fall back to the first column matching their status
+app.post("/board/columns/:columnId/delete", isLoggedIn, loadCurrentBoard, async (req, res) => {
+  const column = req.boardOwner.boardColumns.id(req.params.columnId);
+  if (!column) {
+    return res.redirect("/board/columns?error=" + encodeURIComponent("Column not found"));
+  }
+
+  column.deleteOne();
+  if (!hasOpenAndDoneColumns(req.boardOwner.boardColumns)) {
+    return res.redirect("/board/columns?error=" + encodeURIComponent("The board needs at least one open and one done column"));
+  }
+
+  try {
+    await req.boardOwner.save();
+    res.redirect("/board/columns?success=" + encodeURIComponent(`Column "${column.name}" deleted`));
+  } catch (err) {
+    console.error("Delete board column error:", err);
+    res.redirect("/board/columns?error=" + encodeURIComponent("Failed to delete column"));
+  }
+});
+
+// ====== Routes: Tags ======
+
+const TAG_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Validate tag fields from a form or the API. Returns { name, color } or { error }.
+function parseTagInput(body, partial) {
+  const result = {};
+  if (!partial || body.name !== undefined) {
+    const name = body.name ? body.name.toString().trim() : "";
+    if (!name || name.length > 40) {
+      return { error: "Tag name is required (up to 40 characters)" };
+    }
+    result.name = name;
+  }
+  if (body.color !== undefined || !partial) {
+    const color = body.color ? body.color.toString() : "#6b7280";
+    if (!TAG_COLOR_PATTERN.test(color)) {
+      return { error: "Tag color must be a hex color such as #2563eb" };
+    }
+    result.color = color;
+  }
+  return result;
+}
+
+// Tag management page: create, rename, recolor and delete tags
+app.get("/tags", isLoggedIn, async (req, res) => {
+  try {
+    const tags = await Tag.find({ userId: req.user.id }).sort({ name: 1 });
+    const counts = await Task.aggregate([
+      // aggregate() skips the soft-delete hook, so trashed tasks are left out here
+      { $match: { tagIds: { $in: tags.map((tag) => tag._id) }, deletedAt: null } },
+      { $unwind: "$tagIds" },
+      { $group: { _id: "$tagIds", count: { $sum: 1 } } }
+    ]);
+    const taskCounts = Object.fromEntries(counts.map((item) => [item._id.toString(), item.count]));
+
+    const error = req.query.error ? decodeURIComponent(req.query.error) : null;
+    const success = req.query.success ? decodeURIComponent(req.query.success) : null;
+    res.render("tags", { tags, taskCounts, error, success });
+  } catch (err) {
+    console.error("Tags page error:", err);
+    res.status(500).send("Error loading tags");
+  }
+});
+
+// Create a tag
+app.post("/tags", isLoggedIn, async (req, res) => {
+  const input = parseTagInput(req.body, false);
+  if (input.error) {
+    return res.redirect("/tags?error=" + encodeURIComponent(input.error));
+  }
+
+  try {
+    await Tag.create({ ...input, userId: req.user.id });
+    res.redirect("/tags?success=" + encodeURIComponent(`Tag "${input.name}" created`));
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.redirect("/tags?error=" + encodeURIComponent(`You already have a tag named "${input.name}"`));
+    }
+    console.error("Create tag error:", err);
+    res.redirect("/tags?error=" + encodeURIComponent("Failed to create tag. Try again later."));
+  }
+});
+
+// Rename or recolor a tag
+app.post("/tags/:id", isLoggedIn, async (req, res) => {
+  const input = parseTagInput(req.body, false);
+  if (input.error) {
+    return res.redirect("/tags?error=" + encodeURIComponent(input.error));
+  }
+
+  try {
+    const tag = await Tag.findOneAndUpdate({ _id: req.params.id, userId: req.user.id }, input);
+    if (!tag) {
+      return res.redirect("/tags?error=" + encodeURIComponent("Tag not found"));
+    }
+    res.redirect("/tags?success=" + encodeURIComponent("Tag updated"));
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.redirect("/tags?error=" + encodeURIComponent(`You already have a tag named "${input.name}"`));
+    }
+    console.error("Update tag error:", err);
+    res.redirect("/tags?error=" + encodeURIComponent("Failed to update tag. Try again later."));
+  }
+});
+
+// Remove a deleted tag from every task that carries it
+async function removeTagFromTasks(userId, tagId) {
+  const tasks = await Task.find({ tagIds: tagId });
+  await Task.updateMany({ tagIds: tagId }, { $pull: { tagIds: tagId } });
+  await recordActivity(
+    tasks.map((task) => {
+      const before = taskSnapshot(task);
+      task.tagIds.pull(tagId);
+      return taskActivity(userId, "update", task, before);
+    })
+  );
+}
+
+// Delete a tag and remove it from every task
+app.post("/tags/:id/delete", isLoggedIn, async (req, res) => {
+  try {
+    const tag = await Tag.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    if (!tag) {
+      return res.redirect("/tags?error=" + encodeURIComponent("Tag not found"));
+    }
+    await removeTagFromTasks(req.user.id, tag._id);
+    res.redirect("/tags?success=" + encodeURIComponent(`Tag "${tag.name}" deleted`));
+  } catch (err) {
+    console.error("Delete tag error:", err);
+    res.redirect("/tags?error=" + encodeURIComponent("Failed to delete tag. Try again later."));
+  }
+});
+
+// ====== Task Helpers ======
+
+// Normalise subtasks sent by a form (one title per line) or the API (strings or objects)
+function parseSubtasks(input) {
+  if (!input) {
+    return [];
+  }
+  const items = Array.isArray(input) ? input : input.toString().split(/\r?\n/);
+  return items
+    .map((item) => {
+      if (item && typeof item === "object") {
+        return {
+          title: (item.title || "").toString().trim(),
+          done: item.done === true || item.done === "true",
+          deadline: item.deadline ? new Date(item.deadline) : undefined
+        };
+      }
+      return { title: (item || "").toString().trim() };
+    })
+    .filter((subtask) => subtask.title);
+}
+
+// Normalise a recurrence definition from the form (recurrence[frequency] etc.) or the API.
+// Returns null for one-off tasks and a string error message for invalid input.
+function parseRecurrence(input, deadline) {
+  if (!input || !input.frequency || input.frequency === "none") {
+    return null;
+  }
+
+  const frequency = input.frequency.toString();
+  if (!["daily", "weekly", "monthly"].includes(frequency)) {
+    return "Repeat must be daily, weekly or monthly.";
+  }
+
+  const interval = input.interval ? parseInt(input.interval, 10) : 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    return "Repeat interval must be a whole number of at least 1.";
+  }
+
+  const recurrence = { frequency, interval };
+
+  if (frequency === "weekly" && input.byWeekday) {
+    const weekdays = [].concat(input.byWeekday).map((day) => parseInt(day, 10));
+    if (weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return "Weekdays must be numbers from 0 (Sunday) to 6 (Saturday).";
+    }
+    recurrence.byWeekday = [...new Set(weekdays)].sort();
+  }
+
+  if (frequency === "monthly" && deadline) {
+    recurrence.monthDay = deadline.getUTCDate();
+  }
+
+  if (input.until) {
+    const until = new Date(input.until);
+    if (isNaN(until.getTime())) {
+      return "Repeat end date is not a valid date.";
+    }
+    recurrence.until = until;
+  }
+
+  if (input.count) {
+    const count = parseInt(input.count, 10);
+    if (!Number.isInteger(count) || count < 1) {
+      return "Number of occurrences must be a whole number of at least 1.";
+    }
+    recurrence.count = count;
+  }
+
+  return recurrence;
+}
+
+// Estimated effort in whole minutes from the form or the API.
+// Returns undefined when not given, null to clear it, or a string error message.
+function parseEstimate(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === "") {
+    return null;
+  }
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    return "Estimate must be a number of minutes (0 or more).";
+  }
+  return Math.round(minutes);
+}
+
+// Resolve the assignee given as a user id ("assigneeId") or username ("assignee").
+// Tasks of a project (projectId) can only be assigned to its members, since the assignee can edit the task.
+// Returns undefined when neither is given, null to unassign, the user's id,
+// or { error } if no such user exists or they are not a member of the project.
+async function resolveAssignee({ assigneeId, assignee }, projectId) {
+  if (assigneeId === undefined && assignee === undefined) {
+    return undefined;
+  }
+  if (!assigneeId && !assignee) {
+    return null;
+  }
+
+  const user = assigneeId
+    ? mongoose.isValidObjectId(assigneeId) && (await User.findById(assigneeId))
+    : await User.findOne({ username: assignee.toString().trim() });
+  if (!user) {
+    return { error: "Assignee not found" };
+  }
+  if (projectId) {
+    const project = await Project.findById(projectId);
+    if (!project || !project.roleOf(user._id)) {
+      return { error: "The assignee must be a member of the project" };
+    }
+  }
+  return user._id;
+}
+
+// Check tag ids sent with a task against the caller's own tags.
+// Returns { tagIds } (undefined when no tags were sent) or { error }.
+async function resolveTagIds(userId, input) {
+  if (input === undefined) {
+    return { tagIds: undefined };
+  }
+  const ids = [...new Set([].concat(input || []).map((id) => id.toString()).filter(Boolean))];
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) {
+    return { error: "Tag not found" };
+  }
+  const count = await Tag.countDocuments({ _id: { $in: ids }, userId });
+  if (count !== ids.length) {
+    return { error: "Tag not found" };
+  }
+  return { tagIds: ids };
+}
+
+// When a member changes the tags on a shared task, tags created by other users stay on it
+async function mergeTaskTags(task, userId, tagIds) {
+  const otherTags = await Tag.find({ _id: { $in: task.tagIds }, userId: { $ne: userId } }, "_id");
+  return [...otherTags.map((tag) => tag._id.toString()), ...tagIds];
+}
+
+// Fields that task lists can be sorted by (prefix with "-" for descending)
+const TASK_SORT_FIELDS = ["order", "title", "priority", "deadline", "status", "createdAt", "updatedAt"];
+const TASK_PAGE_SIZE = 50;
+const TASK_MAX_PAGE_SIZE = 200;
+
+// Split a comma-separated (or repeated) query parameter into a list of values
+function queryList(value) {
+  return []
+    .concat(value)
+    .join(",")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Build the search, filter and sort options shared by the dashboard and GET /api/tasks:
+// q (text search), status, priority, tag, deadlineFrom, deadlineTo, overdue=true and sort.
+// Returns { filter, sort, sortField, sortDirection } or { error } for invalid input.
+function buildTaskQuery(query) {
+  const filter = {};
+
+  if (query.q && query.q.toString().trim()) {
+    filter.$text = { $search: query.q.toString().trim() };
+  }
+
+  if (query.status) {
+    const statuses = queryList(query.status);
+    if (statuses.some((status) => !Task.schema.path("status").enumValues.includes(status))) {
+      return { error: "status must be one of: " + Task.schema.path("status").enumValues.join(", ") };
+    }
+    filter.status = { $in: statuses };
+  }
+
+  if (query.priority) {
+    const priorities = queryList(query.priority);
+    if (priorities.some((priority) => !Task.schema.path("priority").enumValues.includes(priority))) {
+      return { error: "priority must be one of: " + Task.schema.path("priority").enumValues.join(", ") };
+    }
+    filter.priority = { $in: priorities };
+  }
+
+  if (query.tag) {
+    const tagIds = queryList(query.tag);
+    if (tagIds.some((tagId) => !mongoose.isValidObjectId(tagId))) {
+      return { error: "tag must be a comma-separated list of tag ids" };
+    }
+    filter.tagIds = { $in: tagIds.map((tagId) => new mongoose.Types.ObjectId(tagId)) };
+  }
+
+  if (query.deadlineFrom || query.deadlineTo) {
+    filter.deadline = {};
+    if (query.deadlineFrom) {
+      const from = new Date(query.deadlineFrom);
+      if (isNaN(from.getTime())) {
+        return { error: "deadlineFrom is not a valid date" };
+      }
+      filter.deadline.$gte = from;
+    }
+    if (query.deadlineTo) {
+      const to = new Date(query.deadlineTo);
+      if (isNaN(to.getTime())) {
+        return { error: "deadlineTo is not a valid date" };
+      }
+      filter.deadline.$lte = to;
+    }
+  }
+
+  // Overdue: still pending and the deadline has passed
+  if (query.overdue === "true") {
+    if (filter.status && !filter.status.$in.includes("pending")) {
+      return { error: "overdue=true only matches pending tasks; leave out status or include pending" };
+    }
+    filter.deadline = { ...filter.deadline, $lt: new Date() };
+    filter.status = "pending";
+  }
+
+  const sortParam = query.sort ? query.sort.toString() : "order";
+  const sortName = sortParam.replace(/^-/, "");
+  if (!TASK_SORT_FIELDS.includes(sortName)) {
+    return { error: "sort must be one of: " + TASK_SORT_FIELDS.join(", ") };
+  }
+  // Priority sorts by its numeric rank (low, medium, high), which is also what the cursor holds
+  const sortField = sortName === "priority" ? "priorityRank" : sortName;
+  const sortDirection = sortParam.startsWith("-") ? -1 : 1;
+
+  // _id breaks ties so that cursor pagination is stable
+  return { filter, sort: { [sortField]: sortDirection, _id: sortDirection }, sortField, sortDirection };
+}
+
+// Cursors are the sort value and _id of the last task on a page, encoded as base64url JSON
+function encodeTaskCursor(task, sortField) {
+  const value = task[sortField] === undefined ? null : task[sortField];
+  return Buffer.from(JSON.stringify({ v: value, id: task._id.toString() })).toString("base64url");
+}
+
+// Filter selecting the tasks that come after the cursor in the given sort order.
+// MongoDB sorts missing/null values first, so they need their own conditions.
+function taskCursorFilter(cursor, sortField, sortDirection) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (err) {
+    return null;
+  }
+  if (!decoded || !mongoose.isValidObjectId(decoded.id)) {
+    return null;
+  }
+
+  const id = new mongoose.Types.ObjectId(decoded.id);
+  const isDate = Task.schema.path(sortField).instance === "Date";
+  const value = decoded.v === null ? null : isDate ? new Date(decoded.v) : decoded.v;
+  const after = sortDirection === 1 ? "$gt" : "$lt";
+
+  if (value === null) {
+    return sortDirection === 1
+      ? { $or: [{ [sortField]: null, _id: { $gt: id } }, { [sortField]: { $ne: null } }] }
+      : { [sortField]: null, _id: { $lt: id } };
+  }
+
+  const conditions = [{ [sortField]: { [after]: value } }, { [sortField]: value, _id: { [after]: id } }];
+  if (sortDirection === -1) {
+    conditions.push({ [sortField]: null });
+  }
+  return { $or: conditions };
+}
+
+// Dates without a time (deadlines, report ranges) are UTC calendar days; weeks start on Monday
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Today's date at midnight UTC, the same form as a date picked in the dashboard
+function todayDate() {
+  return new Date(new Date().toISOString().slice(0, 10));
+}
+
+// Monday (UTC) of the week a date falls in
+function weekStart(date) {
+  const day = new Date(date.toISOString().slice(0, 10));
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+// ====== Quick-Add Helpers ======
+// The quick-add box turns one line such as "Submit report next Friday 5pm !high" into a title,
+// deadline and priority. Dates and times are read in the caller's time zone (the browser sends its
+// getTimezoneOffset(); without it the time zone on the user's profile is used). A date without a time is stored like a date picked in the
+// task form, at midnight UTC.
+
+const QUICK_ADD_MAX_LENGTH = 500;
+const QUICK_ADD_WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const QUICK_ADD_MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const QUICK_ADD_PRIORITIES = { high: "high", h: "high", medium: "medium", med: "medium", m: "medium", low: "low", l: "low" };
+const QUICK_ADD_UNITS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 };
+
+const QUICK_ADD_MONTH = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const QUICK_ADD_DAY = "(\\d{1,2})(?:st|nd|rd|th)?";
+// "on", "by", "due" or "before" in front of a date is part of the date, not the title
+const QUICK_ADD_LEAD = "(?:(?:on|by|due|before)\\s+)?";
+
+// Date patterns, tried in order; each returns the day (midnight UTC) given today's date in the
+// caller's time zone, or an exact time for "in 2 hours"
+const QUICK_ADD_DATE_RULES = [
+  {
+    pattern: new RegExp(`${QUICK_ADD_LEAD}(\\d{4})-(\\d{2})-(\\d{2})`),
+    day: (match) => {
+      const date = quickAddDay(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+      return date.toISOString().slice(0, 10) === match[0].slice(-10) ? date : null;
+    }
+  },
+  {
+    pattern: new RegExp(`${QUICK_ADD_LEAD}${QUICK_ADD_DAY}\\s+(?:of\\s+)?${QUICK_ADD_MONTH}(?:,?\\s+(\\d{4}))?`),
+    day: (match, today) => quickAddMonthDay(today, match[2], Number(match[1]), match[3])
+  },
+  {
+    pattern: new RegExp(`${QUICK_ADD_LEAD}${QUICK_ADD_MONTH}\\s+${QUICK_ADD_DAY}(?:,?\\s+(\\d{4}))?`),
+    day: (match, today) => quickAddMonthDay(today, match[1], Number(match[2]), match[3])
+  },
+  {
+    pattern: /in\s+(\d+|an?|one)\s+(minute|hour|day|week)s?/,
+    instant: (match, now) => new Date(now.getTime() + (/^\d+$/.test(match[1]) ? Number(match[1]) : 1) * QUICK_ADD_UNITS[match[2]])
+  },
+  {
+    pattern: new RegExp(`${QUICK_ADD_LEAD}(?:the\\s+)?day\\s+after\\s+tomorrow`),
+    day: (match, today) => new Date(today.getTime() + 2 * DAY_MS)
+  },
+  {
+    pattern: new RegExp(`${QUICK_ADD_LEAD}(today|tonight|tomorrow|tmrw?)`),
+    day: (match, today) => new Date(today.getTime() + (["today", "tonight"].includes(match[1]) ? 0 : DAY_MS))
+  },
+  {
+    // Monday of next week / the 1st of next month
+    pattern: new RegExp(`${QUICK_ADD_LEAD}next\\s+(week|month)`),
+    day: (match, today) =>
+      match[1] === "week"
+        ? new Date(weekStart(today).getTime() + 7 * DAY_MS)
+        : quickAddDay(today.getUTCFullYear(), today.getUTCMonth() + 1, 1)
+  },
+  {
+    // "Friday" and "this Friday" are the coming Friday (today if it is Friday); "next Friday" is the
+    // Friday of next week (weeks start on Monday)
+    pattern: new RegExp(`${QUICK_ADD_LEAD}(?:(this|next)\\s+)?(${QUICK_ADD_WEEKDAYS.join("|")})`),
+    day: (match, today) => {
+      const weekday = QUICK_ADD_WEEKDAYS.indexOf(match[2]);
+      if (match[1] === "next") {
+        return new Date(weekStart(today).getTime() + (7 + ((weekday + 6) % 7)) * DAY_MS);
+      }
+      return new Date(today.getTime() + ((weekday - today.getUTCDay() + 7) % 7) * DAY_MS);
+    }
+  }
+];
+
+// Time patterns: "5pm", "5:30 pm", "at 17:30", "noon". Returns minutes after midnight, or null if invalid.
+const QUICK_ADD_TIME_RULES = [
+  {
+    pattern: /(?:at\s+)?(\d{1,2})(?::([0-5]\d))?\s*(am|pm)/,
+    minutes: (match) => {
+      const hour = Number(match[1]);
+      if (hour < 1 || hour > 12) return null;
+      return ((hour % 12) + (match[3] === "pm" ? 12 : 0)) * 60 + Number(match[2] || 0);
+    }
+  },
+  {
+    pattern: /(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)/,
+    minutes: (match) => Number(match[1]) * 60 + Number(match[2])
+  },
+  {
+    pattern: /(?:at\s+)?noon/,
+    minutes: () => 12 * 60
+  }
+];
+
+function quickAddDay(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+// "Oct 23" without a year is the next Oct 23 from today. Returns null for a day the month does not have.
+function quickAddMonthDay(today, monthName, day, year) {
+  const month = QUICK_ADD_MONTHS.indexOf(monthName.slice(0, 3));
+  let date = quickAddDay(year ? Number(year) : today.getUTCFullYear(), month, day);
+  if (!year && date < today) {
+    date = quickAddDay(today.getUTCFullYear() + 1, month, day);
+  }
+  return date.getUTCDate() === day ? date : null;
+}
+
+// First match of a rule's pattern as a whole phrase in the text, or null
+function matchQuickAddRule(text, rule) {
+  const pattern = new RegExp(`(^|\\s)(?:${rule.pattern.source})(?=$|[\\s,.;!])`, "i");
+  const match = pattern.exec(text);
+  if (!match) {
+    return null;
+  }
+  // Drop the leading space group so match[1] is the rule's own first group
+  const groups = [match[0].slice(match[1].length), ...match.slice(2)].map((value) => (value ? value.toLowerCase() : value));
+  return { groups, index: match.index + match[1].length, length: match[0].length - match[1].length };
+}
+
+// Browser time zone offset in minutes (as returned by Date.getTimezoneOffset()), or an error message
+function parseTimezoneOffset(value) {
+  if (value === undefined || value === null || value === "") {
+    return 0;
+  }
+  const offset = Number(value);
+  if (!Number.isInteger(offset) || Math.abs(offset) > 14 * 60) {
+    return "timezoneOffset must be a number of minutes between -840 and 840";
+  }
+  return offset;
+}
+
+// Time zone offset for a quick-add request: the one sent with it, else the user's profile time zone
+function requestTimezoneOffset(req) {
+  const sent = req.body.timezoneOffset;
+  if (sent !== undefined && sent !== null && sent !== "") {
+    return sent;
+  }
+  return timezoneOffsetOf(req.user.timezone);
+}
+
+// Parse a quick-add line. Returns { title, deadline, hasTime, priority, recognized } where
+// "recognized" lists the phrases read as the deadline and priority, or { error }.
+function parseQuickAdd(input, timezoneOffsetInput, now = new Date()) {
+  const timezoneOffset = parseTimezoneOffset(timezoneOffsetInput);
+  if (typeof timezoneOffset === "string") {
+    return { error: timezoneOffset };
+  }
+  let text = input ? input.toString().trim() : "";
+  if (!text) {
+    return { error: "Type a task, e.g. Submit report next Friday 5pm !high" };
+  }
+  if (text.length > QUICK_ADD_MAX_LENGTH) {
+    return { error: `Quick add text must be at most ${QUICK_ADD_MAX_LENGTH} characters` };
+  }
+
+  const recognized = [];
+  // Remove a matched phrase from the title, keeping the words around it apart
+  const take = (match) => {
+    recognized.push(text.substr(match.index, match.length).trim());
+    text = text.slice(0, match.index) + " " + text.slice(match.index + match.length);
+  };
+
+  let priority = "medium";
+  const priorityMatch = matchQuickAddRule(text, { pattern: new RegExp(`!(${Object.keys(QUICK_ADD_PRIORITIES).join("|")})`) });
+  if (priorityMatch) {
+    priority = QUICK_ADD_PRIORITIES[priorityMatch.groups[1]];
+    take(priorityMatch);
+  }
+
+  // Today's date where the caller is, as midnight UTC
+  const localNow = new Date(now.getTime() - timezoneOffset * 60 * 1000);
+  const today = quickAddDay(localNow.getUTCFullYear(), localNow.getUTCMonth(), localNow.getUTCDate());
+
+  let day = null;
+  let instant = null;
+  for (const rule of QUICK_ADD_DATE_RULES) {
+    const match = matchQuickAddRule(text, rule);
+    if (!match) continue;
+    if (rule.instant) {
+      instant = rule.instant(match.groups, now);
+    } else {
+      day = rule.day(match.groups, today);
+      if (!day) {
+        return { error: `"${text.substr(match.index, match.length).trim()}" is not a valid date` };
+      }
+    }
+    take(match);
+    break;
+  }
+
+  let minutes = null;
+  if (!instant) {
+    for (const rule of QUICK_ADD_TIME_RULES) {
+      const match = matchQuickAddRule(text, rule);
+      if (!match) continue;
+      minutes = rule.minutes(match.groups);
+      if (minutes === null) {
+        return { error: `"${text.substr(match.index, match.length).trim()}" is not a valid time` };
+      }
+      take(match);
+      break;
+    }
+  }
+
+  const title = text.replace(/\s+/g, " ").trim().replace(/^[,;:-]\s*|\s*[,;:-]$/g, "");
+  if (!title) {
+    return { error: "Add a title for the task as well as its date" };
+  }
+
+  let deadline = instant || day;
+  if (minutes !== null) {
+    // A time on its own is today, or tomorrow once that time has passed
+    const toInstant = (date) => new Date(date.getTime() + (minutes + timezoneOffset) * 60 * 1000);
+    deadline = toInstant(day || today);
+    if (!day && deadline <= now) {
+      deadline = toInstant(new Date(today.getTime() + DAY_MS));
+    }
+  }
+
+  return { title, deadline, hasTime: Boolean(instant) || minutes !== null, priority, recognized };
+}
+
+// ====== Activity Helpers ======
+// Every change to a task is appended to the activity log (see Models/Activity.js).
+// Routes take a snapshot of the task before changing it and log the difference afterwards.
+
+// Task fields whose old and new values are recorded
+const ACTIVITY_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "deadline",
+  "status",
+  "order",
+  "columnId",
+  "boardOrder",
+  "subtasks",
+  "autoCompleteSubtasks",
+  "recurrence",
+  "assigneeId",
+  "tagIds",
+  "blockedByIds",
+  "estimateMinutes"
+];
+
+// Plain copy of the logged fields of a task. Empty values are stored as null.
+function taskSnapshot(task) {
+  const data = task.toObject({ depopulate: true });
+  const snapshot = {};
+  ACTIVITY_FIELDS.forEach((field) => {
+    const value = data[field];
+    const isEmpty = value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0);
+    snapshot[field] = isEmpty ? null : value;
+  });
+  return snapshot;
+}
+
+// Activity log entry for a change to a task, or null when no logged field changed.
+// "before" is the snapshot taken before the change (null for new tasks); purged tasks have no "after".
+// Moving a task to the trash and back is logged even though no field changes.
+function taskActivity(userId, action, task, before) {
+  const after = action === "purge" ? {} : taskSnapshot(task);
+  const changes = ACTIVITY_FIELDS.map((field) => ({
+    field,
+    from: before && before[field] !== undefined ? before[field] : null,
+    to: after[field] !== undefined ? after[field] : null
+  })).filter((change) => JSON.stringify(change.from) !== JSON.stringify(change.to));
+
+  if (changes.length === 0 && !["delete", "restore", "purge"].includes(action)) {
+    return null;
+  }
+  return {
+    taskId: task._id,
+    taskTitle: task.title,
+    taskOwnerId: task.userId,
+    projectId: task.projectId || undefined,
+    userId,
+    // Edits that only change the status are logged as status changes
+    action: action === "update" && changes.every((change) => change.field === "status") ? "status" : action,
+    changes
+  };
+}
+
+// Append entries (from taskActivity) to the log. A failure is logged but never fails the change itself.
+async function recordActivity(entries) {
+  const docs = [].concat(entries).filter(Boolean);
+  if (docs.length === 0) {
+    return;
+  }
+  try {
+    await Activity.insertMany(docs);
+  } catch (err) {
+    console.error("Record activity error:", err);
+  }
+  publishTaskEvents(docs).catch((err) => console.error("Publish task events error:", err));
+  queueWebhookEvents(docs).catch((err) => console.error("Queue webhook events error:", err));
+}
+
+// ====== Live Updates ======
+// Open dashboards listen on GET /api/events (Server-Sent Events). Every task change written to the
+// activity log is pushed to the connected users who can see the task: its creator, its assignee
+// and the members of its project. A previous assignee who lost access is only told to drop the task.
+// Connections live in this process's memory, so each server instance only reaches its own clients.
+
+const liveClients = new Map(); // userId -> Set of open event-stream responses
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+
+// Event name sent for each activity action
+const LIVE_EVENT_TYPES = {
+  create: "task.created",
+  restore: "task.created",
+  update: "task.updated",
+  status: "task.updated",
+  reorder: "task.updated",
+  delete: "task.deleted",
+  purge: "task.deleted"
+};
+
+function sendLiveEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Changed tasks (trashed ones included) and their projects, keyed by id, for building events
+async function loadTaskEventContext(entries) {
+  const tasks = await Task.find({ _id: { $in: entries.map((entry) => entry.taskId) } })
+    .setOptions({ withDeleted: true })
+    .populate("assigneeId", "username displayName")
+    .populate("tagIds", "name color userId");
+  const projectIds = entries.filter((entry) => entry.projectId).map((entry) => entry.projectId);
+  const projects = projectIds.length > 0 ? await Project.find({ _id: { $in: projectIds } }, "members") : [];
+  return {
+    tasksById: new Map(tasks.map((task) => [task._id.toString(), task])),
+    projectsById: new Map(projects.map((project) => [project._id.toString(), project]))
+  };
+}
+
+// Ids of the users who can see the task an activity entry is about
+function taskEventRecipients(entry, context) {
+  const task = context.tasksById.get(entry.taskId.toString());
+  const project = entry.projectId && context.projectsById.get(entry.projectId.toString());
+  return new Set(
+    [
+      entry.taskOwnerId,
+      task && task.assigneeId && task.assigneeId._id,
+      ...(project ? project.members.map((member) => member.userId) : [])
+    ]
+      .filter(Boolean)
+      .map(String)
+  );
+}
+
+// Id of the previous assignee of a reassigned task when they can no longer see it, or null
+function formerAssigneeId(entry, recipients) {
+  const reassignment = entry.changes.find((change) => change.field === "assigneeId");
+  const userId = reassignment && reassignment.from ? reassignment.from.toString() : null;
+  return userId && !recipients.has(userId) ? userId : null;
+}
+
+// Push activity log entries to the browsers of everyone who can see the changed tasks
+async function publishTaskEvents(entries) {
+  if (liveClients.size === 0) {
+    return;
+  }
+
+  const context = await loadTaskEventContext(entries);
+  entries.forEach((entry) => {
+    const task = context.tasksById.get(entry.taskId.toString());
+    const type = LIVE_EVENT_TYPES[entry.action];
+    const data = {
+      action: entry.action,
+      taskId: entry.taskId,
+      projectId: entry.projectId || null,
+      changes: entry.changes.map((change) => change.field),
+      task: type === "task.deleted" || !task ? undefined : task
+    };
+    const recipients = taskEventRecipients(entry, context);
+    recipients.forEach((userId) => {
+      (liveClients.get(userId) || []).forEach((res) => sendLiveEvent(res, type, data));
+    });
+
+    // The previous assignee only learns that the task left their view, not what it now contains
+    const formerAssignee = formerAssigneeId(entry, recipients);
+    if (formerAssignee) {
+      const removed = { action: entry.action, taskId: entry.taskId, projectId: entry.projectId || null, changes: [] };
+      (liveClients.get(formerAssignee) || []).forEach((res) => sendLiveEvent(res, "task.deleted", removed));
+    }
+  });
+}
+
+// GET /api/events - stream of task changes for the dashboard (text/event-stream)
+app.get("/api/events", isLoggedIn, (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stop reverse proxies from buffering the stream
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const userId = req.user.id;
+  if (!liveClients.has(userId)) {
+    liveClients.set(userId, new Set());
+  }
+  liveClients.get(userId).add(res);
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), LIVE_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    const connections = liveClients.get(userId);
+    connections.delete(res);
+    if (connections.size === 0) {
+      liveClients.delete(userId);
+    }
+  });
+});
+
+// ====== Webhooks ======
+// Users can register URLs that receive task events as JSON POST requests (see Models/Webhook.js).
+// Each event is stored as a WebhookDelivery and sent straight away; failed deliveries are retried
+// by a background job with a doubling delay. Every request carries an HMAC-SHA256 signature of
+// its body made with the webhook's secret, so receivers can check it came from this server.
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m, 8m between attempts
+const WEBHOOK_JOB_INTERVAL_MS = 30 * 1000;
+const WEBHOOK_MAX_PER_USER = 10;
+// Tasks that went overdue longer ago than this (e.g. while the server was down) are not announced
+const WEBHOOK_OVERDUE_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+const WEBHOOK_RESPONSE_MAX_CHARS = 500;
+// Webhooks may not reach loopback, private or link-local addresses (this server's own network),
+// unless WEBHOOK_ALLOW_PRIVATE_URLS=true for trying them out against a local receiver
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+[
+  // IPv4-mapped addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges above
+  ["::", 127], // unspecified and loopback
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6"));
+
+// Labels for the settings page
+const WEBHOOK_EVENT_LABELS = {
+  "task.created": "Task created (or restored from the trash)",
+  "task.updated": "Task updated",
+  "task.status_changed": "Status changed (done or reopened)",
+  "task.deleted": "Task deleted (moved to the trash or purged)",
+  "task.overdue": "Task became overdue"
+};
+
+// Webhook events for an activity log entry. A change that includes the status sends
+// task.status_changed, and task.updated as well when other fields changed too.
+function webhookEventTypes(entry) {
+  if (["create", "restore"].includes(entry.action)) {
+    return ["task.created"];
+  }
+  if (["delete", "purge"].includes(entry.action)) {
+    return ["task.deleted"];
+  }
+  const fields = entry.changes.map((change) => change.field);
+  const types = [];
+  if (fields.includes("status")) {
+    types.push("task.status_changed");
+  }
+  if (fields.some((field) => field !== "status")) {
+    types.push("task.updated");
+  }
+  return types;
+}
+
+// Body sent to the receiver; the delivery id lets receivers ignore a retry they already handled
+function webhookPayload(deliveryId, event, data) {
+  return { id: deliveryId.toString(), event, createdAt: new Date().toISOString(), data };
+}
+
+function signWebhookBody(secret, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+function generateWebhookSecret() {
+  return "whsec_" + crypto.randomBytes(24).toString("hex");
+}
+
+// Returns an error message if the URL cannot receive webhooks, otherwise null
+async function webhookUrlError(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return "Please enter a full URL, e.g. https://example.com/hooks/tasks";
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return "Webhook URLs must start with http:// or https://";
+  }
+  if (WEBHOOK_ALLOW_PRIVATE_URLS) {
+    return null;
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+      return "Webhook URLs cannot point to loopback, private or link-local addresses";
+    }
+  } catch (err) {
+    return `Could not find the host ${hostname}`;
+  }
+  return null;
+}
+
+// True for loopback, private, link-local and other addresses that are not on the public internet
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// dns.lookup for webhook requests that refuses private addresses. The address checked is the one
+// connected to, so a host cannot pass the check and then resolve somewhere else.
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      return callback(err);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked && !WEBHOOK_ALLOW_PRIVATE_URLS) {
+      return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// POST a delivery to a webhook URL. Resolves to { status, body }; "body" is left out for receivers
+// on private addresses (only reachable with WEBHOOK_ALLOW_PRIVATE_URLS) so the log cannot be used to
+// read internal services.
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+    // Address literals are connected to without a lookup, so they are checked here
+    if (net.isIP(hostname) && isPrivateAddress(hostname) && !WEBHOOK_ALLOW_PRIVATE_URLS) {
+      return reject(new Error(`${hostname} is a private address`));
+    }
+
+    const client = parsed.protocol === "https:" ? https : http;
+    const req = client.request(
+      parsed,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: webhookLookup
+      },
+      (res) => {
+        const privateReceiver = isPrivateAddress(res.socket.remoteAddress || "");
+        let text = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          if (text.length < WEBHOOK_RESPONSE_MAX_CHARS) {
+            text += chunk;
+          }
+        });
+        res.on("end", () => {
+          clearTimeout(timer);
+          resolve({ status: res.statusCode, body: privateReceiver ? undefined : text.slice(0, WEBHOOK_RESPONSE_MAX_CHARS) });
+        });
+        res.on("error", reject);
+      }
+    );
+    const timer = setTimeout(() => {
+      const err = new Error(`No answer within ${WEBHOOK_TIMEOUT_MS / 1000} seconds`);
+      err.name = "TimeoutError";
+      req.destroy(err);
+    }, WEBHOOK_TIMEOUT_MS);
+    req.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    req.end(body);
+  });
+}
+
+// Store one delivery per event and matching webhook, then send them
+async function createWebhookDeliveries(docs) {
+  const deliveries = [];
+  for (const { data, ...doc } of docs) {
+    const _id = new mongoose.Types.ObjectId();
+    try {
+      deliveries.push(await WebhookDelivery.create({ ...doc, _id, payload: webhookPayload(_id, doc.event, data) }));
+    } catch (err) {
+      // Events with an eventKey are only sent once per webhook
+      if (err.code !== 11000) {
+        throw err;
+      }
+    }
+  }
+  deliveries.forEach((delivery) => {
+    attemptWebhookDelivery(delivery._id).catch((err) => console.error("Webhook delivery error:", err));
+  });
+}
+
+// Queue webhook deliveries for activity log entries, for the webhooks of everyone who can see the tasks
+async function queueWebhookEvents(entries) {
+  const events = entries.flatMap((entry) => webhookEventTypes(entry).map((type) => ({ entry, type })));
+  if (events.length === 0) {
+    return;
+  }
+  const webhooks = await Webhook.find({ active: true, events: { $in: events.map((event) => event.type) } });
+  if (webhooks.length === 0) {
+    return;
+  }
+
+  const context = await loadTaskEventContext(entries);
+  const docs = [];
+  events.forEach(({ entry, type }) => {
+    const recipients = taskEventRecipients(entry, context);
+    const task = context.tasksById.get(entry.taskId.toString());
+    webhooks
+      .filter((webhook) => webhook.events.includes(type) && recipients.has(webhook.userId.toString()))
+      .forEach((webhook) => {
+        docs.push({
+          webhookId: webhook._id,
+          userId: webhook.userId,
+          event: type,
+          data: {
+            action: entry.action,
+            taskId: entry.taskId,
+            projectId: entry.projectId || null,
+            changedBy: entry.userId,
+            changes: entry.changes,
+            task: entry.action === "purge" || !task ? null : task
+          }
+        });
+      });
+  });
+  await createWebhookDeliveries(docs);
+}
+
+// Queue task.overdue for pending tasks whose deadline has just passed (checked by the webhook job)
+async function queueOverdueWebhookEvents(now) {
+  const webhooks = await Webhook.find({ active: true, events: "task.overdue" });
+  if (webhooks.length === 0) {
+    return;
+  }
+
+  const candidates = await Task.find({
+    status: "pending",
+    deadline: { $gt: new Date(now.getTime() - WEBHOOK_OVERDUE_LOOKBACK_MS), $lte: now }
+  });
+  if (candidates.length === 0) {
+    return;
+  }
+
+  // The job runs every 30 seconds over the whole look-back window, so deliveries already created
+  // for a deadline are looked up first instead of being inserted again
+  const eventKey = (task) => `overdue:${task._id}:${task.deadline.toISOString()}`;
+  const existing = await WebhookDelivery.find(
+    { webhookId: { $in: webhooks.map((webhook) => webhook._id) }, eventKey: { $in: candidates.map(eventKey) } },
+    "webhookId eventKey"
+  );
+  const queued = new Set(existing.map((delivery) => `${delivery.webhookId}:${delivery.eventKey}`));
+  // Webhooks only hear about deadlines that passed after they were registered
+  const webhooksToTell = (task) =>
+    webhooks.filter((webhook) => task.deadline > webhook.createdAt && !queued.has(`${webhook._id}:${eventKey(task)}`));
+
+  const tasks = candidates.filter((task) => webhooksToTell(task).length > 0);
+  if (tasks.length === 0) {
+    return;
+  }
+  await Task.populate(tasks, [
+    { path: "assigneeId", select: "username displayName" },
+    { path: "tagIds", select: "name color userId" }
+  ]);
+
+  const entries = tasks.map((task) => ({ taskId: task._id, taskOwnerId: task.userId, projectId: task.projectId, changes: [] }));
+  const context = await loadTaskEventContext(entries);
+  const docs = [];
+  entries.forEach((entry, index) => {
+    const task = tasks[index];
+    const recipients = taskEventRecipients(entry, context);
+    webhooksToTell(task)
+      .filter((webhook) => recipients.has(webhook.userId.toString()))
+      .forEach((webhook) => {
+        docs.push({
+          webhookId: webhook._id,
+          userId: webhook.userId,
+          event: "task.overdue",
+          eventKey: eventKey(task),
+          data: { action: "overdue", taskId: task._id, projectId: task.projectId || null, task }
+        });
+      });
+  });
+  await createWebhookDeliveries(docs);
+}
+
+// Send a pending delivery if it is due. The delivery is claimed first (its next attempt moved past
+// the request timeout), so the job and an immediate send never post the same attempt twice.
+async function attemptWebhookDelivery(deliveryId) {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: "pending", nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + 2 * WEBHOOK_TIMEOUT_MS), $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!delivery) {
+    return;
+  }
+
+  const webhook = await Webhook.findById(delivery.webhookId);
+  if (!webhook || !webhook.active) {
+    delivery.set({ status: "failed", error: webhook ? "Webhook is disabled" : "Webhook was deleted" });
+    await delivery.save();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const result = {};
+  try {
+    // Redirects are not followed; a 3xx answer counts as a failure
+    const response = await postWebhook(
+      webhook.url,
+      {
+        "Content-Type": "application/json",
+        "User-Agent": "SmartTaskManager-Webhook/1.0",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery._id.toString(),
+        "X-Webhook-Signature": signWebhookBody(webhook.secret, body)
+      },
+      body
+    );
+    const ok = response.status >= 200 && response.status < 300;
+    result.responseStatus = response.status;
+    result.responseBody = response.body;
+    result.error = ok ? undefined : `Receiver answered ${response.status}`;
+  } catch (err) {
+    result.responseStatus = undefined;
+    result.responseBody = undefined;
+    result.error = err.message;
+  }
+
+  if (!result.error) {
+    delivery.set({ ...result, status: "success", deliveredAt: new Date() });
+  } else if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.set({ ...result, status: "failed" });
+  } else {
+    const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts - 1);
+    delivery.set({ ...result, nextAttemptAt: new Date(Date.now() + delay) });
+  }
+  await delivery.save();
+}
+
+let webhookRunInProgress = false;
+
+// One pass of the webhook job: announce newly overdue tasks and retry deliveries that are due
+async function runWebhookJob() {
+  if (webhookRunInProgress || mongoose.connection.readyState !== 1) {
+    return;
+  }
+  webhookRunInProgress = true;
+
+  try {
+    const now = new Date();
+    await queueOverdueWebhookEvents(now);
+    const due = await WebhookDelivery.find({ status: "pending", nextAttemptAt: { $lte: now } }, "_id")
+      .sort({ nextAttemptAt: 1 })
+      .limit(50);
+    for (const delivery of due) {
+      await attemptWebhookDelivery(delivery._id);
+    }
+  } catch (err) {
+    console.error("Webhook job error:", err);
+  } finally {
+    webhookRunInProgress = false;
+  }
+}
+
+// ====== Routes: Task CRUD (form-based) ======
+
+// Create a new task from a form on the dashboard (in the selected project, if any)
+app.post("/tasks", isLoggedIn, async (req, res) => {
+  // The quick-add box sends one line of text ("quickAdd") in place of the title, deadline and priority fields
+  const quickAdd = req.body.quickAdd !== undefined ? parseQuickAdd(req.body.quickAdd, requestTimezoneOffset(req)) : null;
+  if (quickAdd && quickAdd.error) {
+    return res.redirect("/dashboard?error=" + encodeURIComponent(quickAdd.error));
+  }
+  const fields = quickAdd ? { ...req.body, title: quickAdd.title, deadline: quickAdd.deadline, priority: quickAdd.priority } : req.body;
+  const { title, description, priority, deadline, subtasks, autoCompleteSubtasks, projectId } = fields;
+
+  const recurrence = parseRecurrence(req.body.recurrence, deadline ? new Date(deadline) : todayDate());
+  if (typeof recurrence === "string") {
+    return res.redirect("/dashboard?error=" + encodeURIComponent(recurrence));
+  }
+  const estimateMinutes = parseEstimate(req.body.estimateMinutes);
+  if (typeof estimateMinutes === "string") {
+    return res.redirect("/dashboard?error=" + encodeURIComponent(estimateMinutes));
+  }
+
+  try {
+    const scope = await projectTaskFilter(req.user.id, projectId, "editor");
+    if (!scope) {
+      return res.redirect("/dashboard?error=" + encodeURIComponent("You do not have permission to add tasks to this project"));
+    }
+
+    const tags = await resolveTagIds(req.user.id, req.body.tagIds);
+    if (tags.error) {
+      return res.redirect("/dashboard?error=" + encodeURIComponent(tags.error));
+    }
+
+    const task = await Task.create({
+      title: (title || "Untitled Task").toString(),
+      description: description ? description.toString() : "",
+      priority: priority ? priority.toString() : "medium",
+      // Recurring tasks need a first deadline to count from; default to today
+      deadline: deadline ? new Date(deadline) : recurrence ? todayDate() : undefined,
+      subtasks: parseSubtasks(subtasks),
+      autoCompleteSubtasks: Boolean(autoCompleteSubtasks),
+      recurrence: recurrence || undefined,
+      estimateMinutes: estimateMinutes === null ? undefined : estimateMinutes,
+      userId: req.user.id,
+      projectId: scope.projectId || undefined,
+      tagIds: tags.tagIds || []
+    });
+    await recordActivity(taskActivity(req.user.id, "create", task, null));
+    res.redirect("/dashboard?success=" + encodeURIComponent("Task created successfully!"));
+  } catch (err) {
+    console.error("Create task error:", err);
+    res.status(500).redirect("/dashboard?error=" + encodeURIComponent("Failed to create task. Please try again."));
+  }
+});
+
+// Update a task status or details (simple demo: mark done/pending)
+app.post("/tasks/:id/status", isLoggedIn, loadTask("editor"), async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
+
+  try {
+    const before = taskSnapshot(req.task);
+    const result = await applyTaskChange(req.task, status === "done", () =>
+      Task.findOneAndUpdate({ _id: id }, { status: status || "pending" }, { new: true })
+    );
+    if (result.error) {
+      return res.redirect("/dashboard?error=" + encodeURIComponent(result.error));
+    }
+    const { task, nextTask } = result;
+    await recordActivity([
+      taskActivity(req.user.id, "status", task, before),
+      nextTask && taskActivity(req.user.id, "create", nextTask, null)
+    ]);
+    if (nextTask) {
+      const nextDate = nextTask.deadline.toISOString().slice(0, 10);
+      return res.redirect("/dashboard?success=" + encodeURIComponent(`Task done! Next occurrence is due ${nextDate}.`));
+    }
+    res.redirect("/dashboard?success=" + encodeURIComponent("Task status updated successfully!"));
+  } catch (err) {
+    console.error("Update task status error:", err);
+    res.status(500).redirect("/dashboard?error=" + encodeURIComponent("Failed to update task. Please try again."));
+  }
+});
+
+// Move a task to the trash
+app.post("/tasks/:id/delete", isLoggedIn, loadTask("editor"), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const task = await Task.findOneAndUpdate({ _id: id }, { deletedAt: new Date(), deletedBy: req.user.id });
+    if (!task) {
+      return res.redirect("/dashboard?error=" + encodeURIComponent("Task not found"));
+    }
+    await recordActivity(taskActivity(req.user.id, "delete", task, taskSnapshot(task)));
+    res.redirect("/dashboard?success=" + encodeURIComponent("Task moved to the trash. You can restore it from the Trash page."));
+  } catch (err) {
+    console.error("Delete task error:", err);
+    res.status(500).redirect("/dashboard?error=" + encodeURIComponent("Failed to delete task. Please try again."));
+  }
+});
+
+// Assign a task to a user by username (empty username unassigns it)
+app.post("/tasks/:id/assign", isLoggedIn, loadTask("editor"), async (req, res) => {
+  try {
+    const assigneeId = await resolveAssignee({ assignee: req.body.assignee || "" }, req.task.projectId);
+    if (assigneeId && assigneeId.error) {
+      const message = req.task.projectId
+        ? `No member of this project is named "${req.body.assignee}"`
+        : `No user named "${req.body.assignee}"`;
+      return res.redirect("/dashboard?error=" + encodeURIComponent(message));
+    }
+
+    const before = taskSnapshot(req.task);
+    const task = await Task.findOneAndUpdate(
+      { _id: req.task._id },
+      assigneeId ? { assigneeId } : { $unset: { assigneeId: 1 } },
+      { new: true }
+    );
+    await recordActivity(taskActivity(req.user.id, "update", task, before));
+    res.redirect("/dashboard?success=" + encodeURIComponent(assigneeId ? "Task assigned" : "Task unassigned"));
+  } catch (err) {
+    console.error("Assign task error:", err);
+    res.status(500).redirect("/dashboard?error=" + encodeURIComponent("Failed to assign task. Please try again."));
+  }
+});
+
+// Replace the current user's tags on a task (checkboxes on the dashboard)
+app.post("/tasks/:id/tags", isLoggedIn, loadTask("editor"), async (req, res) => {
+  try {
+    const tags = await resolveTagIds(req.user.id, req.body.tagIds || []);
+    if (tags.error) {
+      return res.redirect("/dashboard?error=" + encodeURIComponent(tags.error));
+    }
+
+    const before = taskSnapshot(req.task);
+    const tagIds = await mergeTaskTags(req.task, req.user.id, tags.tagIds);
+    const task = await Task.findOneAndUpdate({ _id: req.task._id }, { tagIds }, { new: true });
+    await recordActivity(taskActivity(req.user.id, "update", task, before));
+    res.redirect("/dashboard?success=" + encodeURIComponent("Tags updated"));
+  } catch (err) {
+    console.error("Update task tags error:", err);
+    res.status(500).redirect("/dashboard?error=" + encodeURIComponent("Failed to update tags. Please try again."));
+  }
+});
+
+// ====== Bulk Operations ======
+// One operation (mark done or pending, change priority, set deadline, delete) applied to many tasks
+// from the dashboard's multi-select or POST /api/tasks/bulk. Each task is checked and changed like a
+// single change would be, so one task failing does not stop the others.
+
+const BULK_MAX_TASKS = 200;
+const BULK_OPERATIONS = ["done", "pending", "priority", "deadline", "delete"];
+
+// Task ids, operation and the fields it sets from a bulk request. Returns the request or { error }.
+function parseBulkRequest(body) {
+  const taskIds = [...new Set([].concat(body.taskIds || []).map(String))];
+  if (taskIds.length === 0) {
+    return { error: "Select at least one task" };
+  }
+  if (taskIds.length > BULK_MAX_TASKS) {
+    return { error: `At most ${BULK_MAX_TASKS} tasks can be changed at once` };
+  }
+
+  const operation = body.operation ? body.operation.toString() : "";
+  if (!BULK_OPERATIONS.includes(operation)) {
+    return { error: `operation must be one of: ${BULK_OPERATIONS.join(", ")}` };
+  }
+
+  let changes = {};
+  if (operation === "done" || operation === "pending") {
+    changes = { status: operation };
+  } else if (operation === "priority") {
+    const priority = body.priority ? body.priority.toString() : "";
+    if (!["low", "medium", "high"].includes(priority)) {
+      return { error: "Priority must be low, medium or high" };
+    }
+    changes = { priority };
+  } else if (operation === "deadline") {
+    // An empty deadline removes it
+    const deadline = body.deadline ? new Date(body.deadline) : null;
+    if (deadline && isNaN(deadline.getTime())) {
+      return { error: "Deadline must be a date (YYYY-MM-DD)" };
+    }
+    changes = { deadline };
+  }
+  return { taskIds, operation, changes };
+}
+
+// Apply the operation to one task the caller can edit. Returns { task, entries } with the
+// activity log entries for the change, or { error, status }.
+async function applyBulkChange(userId, task, { operation, changes }) {
+  const before = taskSnapshot(task);
+  if (operation === "delete") {
+    const deleted = await Task.findOneAndUpdate({ _id: task._id }, { deletedAt: new Date(), deletedBy: userId });
+    if (!deleted) {
+      return { error: "Task not found", status: 404 };
+    }
+    return { task: deleted, entries: [taskActivity(userId, "delete", deleted, before)] };
+  }
+
+  const result = await applyTaskChange(task, changes.status === "done", () =>
+    Task.findOneAndUpdate({ _id: task._id }, changes, { new: true })
+  );
+  if (result.error) {
+    return result;
+  }
+  const { task: updated, nextTask } = result;
+  return {
+    task: updated,
+    entries: [taskActivity(userId, "update", updated, before), nextTask && taskActivity(userId, "create", nextTask, null)]
+  };
+}
+
+// Apply a bulk request to its tasks in the order given (so a blocker listed before the task it
+// blocks can be completed together with it). Returns one result per task id:
+// { taskId, ok: true, task } or { taskId, ok: false, status, error }.
+async function applyBulkOperation(userId, request) {
+  const validIds = request.taskIds.filter((taskId) => mongoose.isValidObjectId(taskId));
+  const tasks = await Task.find({ _id: { $in: validIds } });
+  const tasksById = new Map(tasks.map((task) => [task._id.toString(), task]));
+
+  const results = [];
+  const entries = [];
+  for (const taskId of request.taskIds) {
+    const task = tasksById.get(taskId);
+    try {
+      const role = task ? await getTaskRole(userId, task) : null;
+      if (!role) {
+        results.push({ taskId, ok: false, status: 404, error: "Task not found" });
+        continue;
+      }
+      if (!Project.hasRole(role, "editor")) {
+        results.push({ taskId, ok: false, status: 403, error: "You have view-only access to this project" });
+        continue;
+      }
+      const result = await applyBulkChange(userId, task, request);
+      if (result.error) {
+        results.push({ taskId, ok: false, status: result.status, error: result.error });
+        continue;
+      }
+      entries.push(...result.entries);
+      results.push({ taskId, ok: true, task: result.task });
+    } catch (err) {
+      console.error("Bulk task change error:", err);
+      results.push({ taskId, ok: false, status: 500, error: "Failed to change task" });
+    }
+  }
+
+  await recordActivity(entries);
+  return results;
+}
+
+// Message for the dashboard after a bulk change, e.g. "Marked 3 task(s) done"
+function describeBulkChange(request, count) {
+  const tasks = `${count} task(s)`;
+  switch (request.operation) {
+    case "done":
+    case "pending":
+      return `Marked ${tasks} ${request.operation}`;
+    case "priority":
+      return `Set the priority of ${tasks} to ${request.changes.priority}`;
+    case "deadline":
+      return request.changes.deadline
+        ? `Set the deadline of ${tasks} to ${request.changes.deadline.toISOString().slice(0, 10)}`
+        : `Removed the deadline of ${tasks}`;
+    default:
+      return `Moved ${tasks} to the trash. You can restore them from the Trash page.`;
+  }
+}
+
+// ====== Routes: Bulk Operations ======
+
+// Apply an operation to the tasks ticked in the dashboard list
+app.post("/tasks/bulk", isLoggedIn, async (req, res) => {
+  const request = parseBulkRequest(req.body);
+  if (request.error) {
+    return res.redirect("/dashboard?error=" + encodeURIComponent(request.error));
+  }
+
+  try {
+    const results = await applyBulkOperation(req.user.id, request);
+    const succeeded = results.filter((result) => result.ok).length;
+    const failed = results.filter((result) => !result.ok);
+    let query = succeeded > 0 ? "success=" + encodeURIComponent(describeBulkChange(request, succeeded)) : "";
+    if (failed.length > 0) {
+      const error = `${failed.length} task(s) were not changed: ${failed[0].error}`;
+      query += (query ? "&" : "") + "error=" + encodeURIComponent(error);
+    }
+    res.redirect("/dashboard?" + query);
+  } catch (err) {
+    console.error("Bulk task change error:", err);
+    res.redirect("/dashboard?error=" + encodeURIComponent("Failed to change the selected tasks. Please try again."));
+  }
+});
+
+// ====== RESTful API Endpoint for Bulk Operations ======
+
+// POST /api/tasks/bulk - { taskIds, operation: done|pending|priority|deadline|delete, priority?, deadline? }
+// Answers 200 with one result per task, whether or not every task could be changed
+app.post("/api/tasks/bulk", isLoggedIn, requireWriteAccess, async (req, res) => {
+  const request = parseBulkRequest(req.body);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+
+  try {
+    const results = await applyBulkOperation(req.user.id, request);
+    const succeeded = results.filter((result) => result.ok).length;
+    res.json({ operation: request.operation, succeeded, failed: results.length - succeeded, results });
+  } catch (err) {
+    console.error("API bulk task change error:", err);
+    res.status(500).json({ error: "Failed to change tasks" });
+  }
+});
+
+// ====== Trash Helpers ======
+// Deleting a task moves it to the trash (Task.deletedAt). Trashed tasks can be restored, or purged
+// for good by the list owner; they are purged automatically after TRASH_RETENTION_DAYS days.
+
+// TRASH_RETENTION_DAYS=0 keeps trashed tasks until they are purged by hand
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || "30", 10);
+
+// Trashed tasks of a list (a filter from projectTaskFilter), most recently deleted first
+function findTrashedTasks(scope) {
+  return Task.find({ ...scope, deletedAt: { $ne: null } })
+    .setOptions({ withDeleted: true })
+    .sort({ deletedAt: -1 });
+}
+
+// Date a trashed task will be purged automatically, or null when automatic purging is off
+function trashPurgeDate(task) {
+  if (TRASH_RETENTION_DAYS <= 0) {
+    return null;
+  }
+  return new Date(task.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Take a task out of the trash
+async function restoreTask(userId, task) {
+  const restored = await Task.findOneAndUpdate(
+    { _id: task._id },
+    { deletedAt: null, $unset: { deletedBy: 1 } },
+    { new: true }
+  ).setOptions({ withDeleted: true });
+  await recordActivity(taskActivity(userId, "restore", restored, taskSnapshot(task)));
+  return restored;
+}
+
+// Delete trashed tasks for good
+async function purgeTasks(userId, tasks) {
+  await Task.deleteMany({ _id: { $in: tasks.map((task) => task._id) } });
+  await deleteTaskDiscussion(tasks.map((task) => task._id));
+  await removeDependencyLinks(tasks.map((task) => task._id));
+  await recordActivity(tasks.map((task) => taskActivity(userId, "purge", task, taskSnapshot(task))));
+}
+
+// Background job removing tasks that have been in the trash longer than the retention period
+async function purgeExpiredTrash() {
+  if (TRASH_RETENTION_DAYS <= 0 || mongoose.connection.readyState !== 1) {
+    return;
+  }
+  try {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const expired = await Task.find({ deletedAt: { $lt: cutoff } }).setOptions({ withDeleted: true });
+    const result = await Task.deleteMany({ _id: { $in: expired.map((task) => task._id) } });
+    await deleteTaskDiscussion(expired.map((task) => task._id));
+    await removeDependencyLinks(expired.map((task) => task._id));
+    // Logged as purged by whoever moved the task to the trash, so live updates and webhooks announce it
+    await recordActivity(
+      expired.map((task) => taskActivity(task.deletedBy || task.userId, "purge", task, taskSnapshot(task)))
+    );
+    if (result.deletedCount > 0) {
+      console.log(`Purged ${result.deletedCount} task(s) from the trash`);
+    }
+  } catch (err) {
+    console.error("Trash purge error:", err);
+  }
+}
+
+// ====== Routes: Trash ======
+
+// Trash page for the list selected on the dashboard
+app.get("/trash", isLoggedIn, async (req, res) => {
+  try {
+    const project = req.session.projectId ? await Project.findById(req.session.projectId) : null;
+    const role = project ? project.roleOf(req.user.id) : "owner";
+    if (!role) {
+      delete req.session.projectId;
+      return res.redirect("/trash");
+    }
+
+    const tasks = await findTrashedTasks(project ? { projectId: project._id } : { projectId: null, userId: req.user.id })
+      .populate("deletedBy", "username displayName");
+    const error = req.query.error ? decodeURIComponent(req.query.error) : null;
+    const success = req.query.success ? decodeURIComponent(req.query.success) : null;
+    res.render("trash", {
+      tasks,
+      listName: project ? project.name : "Personal tasks",
+      canRestore: Project.hasRole(role, "editor"),
+      canPurge: role === "owner",
+      retentionDays: TRASH_RETENTION_DAYS,
+      purgeDate: trashPurgeDate,
+      error,
+      success
+    });
+  } catch (err) {
+    console.error("Trash page error:", err);
+    res.status(500).send("Error loading trash");
+  }
+});
+
+app.post("/trash/:id/restore", isLoggedIn, loadTask("editor", { trashed: true }), async (req, res) => {
+  try {
+    await restoreTask(req.user.id, req.task);
+    res.redirect("/trash?success=" + encodeURIComponent(`"${req.task.title}" restored`));
+  } catch (err) {
+    console.error("Restore task error:", err);
+    res.redirect("/trash?error=" + encodeURIComponent("Failed to restore task. Please try again."));
+  }
+});
+
+app.post("/trash/:id/purge", isLoggedIn, loadTask("owner", { trashed: true }), async (req, res) => {
+  try {
+    await purgeTasks(req.user.id, [req.task]);
+    res.redirect("/trash?success=" + encodeURIComponent(`"${req.task.title}" deleted permanently`));
+  } catch (err) {
+    console.error("Purge task error:", err);
+    res.redirect("/trash?error=" + encodeURIComponent("Failed to delete task. Please try again."));
+  }
+});
+
+// Empty the trash of the selected list (owners only)
+app.post("/trash/empty", isLoggedIn, async (req, res) => {
+  try {
+    const scope = await projectTaskFilter(req.user.id, req.session.projectId, "owner");
+    if (!scope) {
+      return res.redirect("/trash?error=" + encodeURIComponent("Only project owners can empty the trash"));
+    }
+    const tasks = await findTrashedTasks(scope);
+    await purgeTasks(req.user.id, tasks);
+    res.redirect("/trash?success=" + encodeURIComponent(`${tasks.length} task(s) deleted permanently`));
+  } catch (err) {
+    console.error("Empty trash error:", err);
+    res.redirect("/trash?error=" + encodeURIComponent("Failed to empty the trash. Please try again."));
+  }
+});
+
+// ====== RESTful API Endpoints for Tasks ======
+// These endpoints return/accept JSON instead of rendering pages.
+// Every request must be authenticated with a session cookie or an API token.
+// Requests work on the caller's personal tasks, or on a shared project's tasks
+// when "projectId" is given, subject to the caller's role in that project.
+
+// GET /api/tasks - list personal tasks, a project's tasks with ?projectId=,
+// or every task assigned to the caller with ?assignedTo=me.
+// Supports q, status, priority, tag, deadlineFrom, deadlineTo, overdue and sort (see buildTaskQuery),
+// and cursor pagination with limit and cursor. Responds with { tasks, next }; pass "next"
+// back as ?cursor= to fetch the following page (null when there are no more tasks).
+app.get("/api/tasks", isLoggedIn, async (req, res) => {
+  const taskQuery = buildTaskQuery(req.query);
+  if (taskQuery.error) {
+    return res.status(400).json({ error: taskQuery.error });
+  }
+
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : TASK_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > TASK_MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be a number from 1 to ${TASK_MAX_PAGE_SIZE}` });
+  }
+
+  const conditions = [taskQuery.filter];
+  if (req.query.cursor) {
+    const cursorFilter = taskCursorFilter(req.query.cursor.toString(), taskQuery.sortField, taskQuery.sortDirection);
+    if (!cursorFilter) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+    conditions.push(cursorFilter);
+  }
+
+  try {
+    const scope =
+      req.query.assignedTo === "me"
+        ? { assigneeId: req.user.id }
+        : await projectTaskFilter(req.user.id, req.query.projectId, "viewer");
+    if (!scope) {
+      return res.status(403).json({ error: "You do not have access to this project" });
+    }
+    conditions.push(scope);
+
+    // Fetch one extra task to know whether there is another page
+    const tasks = await Task.find({ $and: conditions })
+      .sort(taskQuery.sort)
+      .limit(limit + 1);
+    const hasMore = tasks.length > limit;
+    const page = tasks.slice(0, limit);
+
+    res.json({
+      tasks: page,
+      next: hasMore ? encodeTaskCursor(page[page.length - 1], taskQuery.sortField) : null
+    });
+  } catch (err) {
+    console.error("API get tasks error:", err);
+    res.status(500).json({ error: "Failed to fetch tasks" });
+  }
+});
+
+// POST /api/tasks/reorder - update task order after drag-and-drop.
+// With "columnId", taskIds is the new content of that board column: the tasks are moved
+// into the column in the given order and their status follows the column (done or pending).
+app.post("/api/tasks/reorder", isLoggedIn, requireWriteAccess, async (req, res) => {
+  const { taskIds, projectId, columnId } = req.body;
+
+  if (!Array.isArray(taskIds)) {
+    return res.status(400).json({ error: "taskIds must be an array" });
+  }
+
+  try {
+    const filter = await projectTaskFilter(req.user.id, projectId, "editor");
+    if (!filter) {
+      return res.status(403).json({ error: "You do not have permission to reorder tasks in this project" });
+    }
+
+    const tasks = await Task.find({
+      _id: { $in: taskIds },
+      ...filter
+    });
+
+    if (tasks.length !== taskIds.length) {
+      return res.status(404).json({ error: "Some tasks not found" });
+    }
+
+    if (columnId) {
+      const boardOwner = await loadBoardOwner(req.user.id, filter.projectId);
+      const column = mongoose.isValidObjectId(columnId) && boardOwner.boardColumns.id(columnId);
+      if (!column) {
+        return res.status(404).json({ error: "Board column not found" });
+      }
+
+      // Refuse the whole move when any task dropped into a done column is still blocked
+      const status = column.isDone ? "done" : "pending";
+      if (status === "done") {
+        for (const task of tasks.filter((item) => item.status !== "done")) {
+          const blocked = await blockedMessage(task);
+          if (blocked) {
+            return res.status(409).json({ error: blocked });
+          }
+        }
+      }
+
+      // Tasks dropped into a done column complete like any other status change
+      const entries = [];
+      for (const task of tasks) {
+        const before = taskSnapshot(task);
+        const result = await applyTaskChange(task, status === "done", () =>
+          Task.findOneAndUpdate(
+            { _id: task._id, ...filter },
+            { columnId: column._id, boardOrder: taskIds.indexOf(task._id.toString()), status },
+            { new: true }
+          )
+        );
+        if (result.error) {
+          continue;
+        }
+        entries.push(
+          taskActivity(req.user.id, "reorder", result.task, before),
+          result.nextTask && taskActivity(req.user.id, "create", result.nextTask, null)
+        );
+      }
+      await recordActivity(entries);
+      return res.json({ message: "Tasks moved successfully" });
+    }
+
+    const updatePromises = taskIds.map((taskId, index) => {
+      return Task.updateOne({ _id: taskId, ...filter }, { order: index });
+    });
+
+    await Promise.all(updatePromises);
+    await recordActivity(
+      tasks.map((task) => {
+        const before = taskSnapshot(task);
+        task.order = taskIds.indexOf(task._id.toString());
+        return taskActivity(req.user.id, "reorder", task, before);
+      })
+    );
+    res.json({ message: "Tasks reordered successfully" });
+  } catch (err) {
+    console.error("API reorder tasks error:", err);
+    res.status(500).json({ error: "Failed to reorder tasks" });
+  }
+});
+
+// POST /api/tasks - create a new task (in a project with "projectId")
+app.post("/api/tasks", isLoggedIn, requireWriteAccess, async (req, res) => {
+  const { title, description, priority, deadline, subtasks, autoCompleteSubtasks, projectId } = req.body;
+
+  const recurrence = parseRecurrence(req.body.recurrence, deadline ? new Date(deadline) : todayDate());
+  if (typeof recurrence === "string") {
+    return res.status(400).json({ error: recurrence });
+  }
+  const estimateMinutes = parseEstimate(req.body.estimateMinutes);
+  if (typeof estimateMinutes === "string") {
+    return res.status(400).json({ error: estimateMinutes });
+  }
+
+  try {
+    const scope = await projectTaskFilter(req.user.id, projectId, "editor");
+    if (!scope) {
+      return res.status(403).json({ error: "You do not have permission to add tasks to this project" });
+    }
+
+    const assigneeId = await resolveAssignee(req.body, scope.projectId);
+    if (assigneeId && assigneeId.error) {
+      return res.status(400).json({ error: assigneeId.error });
+    }
+
+    const tags = await resolveTagIds(req.user.id, req.body.tagIds);
+    if (tags.error) {
+      return res.status(400).json({ error: tags.error });
+    }
+
+    const task = new Task({
+      title: (title || "Untitled Task").toString(),
+      description: description ? description.toString() : "",
+      priority: priority ? priority.toString() : "medium",
+      // Recurring tasks need a first deadline to count from; default to today
+      deadline: deadline ? new Date(deadline) : recurrence ? todayDate() : undefined,
+      subtasks: parseSubtasks(subtasks),
+      autoCompleteSubtasks: autoCompleteSubtasks === true || autoCompleteSubtasks === "true",
+      recurrence: recurrence || undefined,
+      estimateMinutes: estimateMinutes === null ? undefined : estimateMinutes,
+      userId: req.user.id,
+      projectId: scope.projectId || undefined,
+      assigneeId: assigneeId || undefined,
+      tagIds: tags.tagIds || []
+    });
+    task.applySubtaskRollup();
+    await task.save();
+    await recordActivity(taskActivity(req.user.id, "create", task, null));
+    res.status(201).json(task);
+  } catch (err) {
+    console.error("API create task error:", err);
+    res.status(500).json({ error: "Failed to create task" });
+  }
+});
+
+// POST /api/tasks/parse - read a quick-add line such as "Submit report next Friday 5pm !high" into
+// { title, deadline, hasTime, priority, recognized } without creating anything (read-only tokens may use it)
+app.post("/api/tasks/parse", isLoggedIn, (req, res) => {
+  const parsed = parseQuickAdd(req.body.text, requestTimezoneOffset(req));
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  res.json(parsed);
+});
+
+// PUT /api/tasks/:id - update an existing task
+app.put("/api/tasks/:id", isLoggedIn, requireWriteAccess, loadTask("editor"), async (req, res) => {
+  const { id } = req.params;
+  const { title, description, priority, deadline, status, autoCompleteSubtasks } = req.body;
+
+  if (title !== undefined && !title.toString().trim()) {
+    return res.status(400).json({ error: "Title cannot be empty" });
+  }
+
+  const updateData = {};
+  if (title !== undefined) updateData.title = title.toString().trim();
+  if (description !== undefined) updateData.description = description.toString();
+  if (priority !== undefined) updateData.priority = priority.toString();
+  if (status !== undefined) updateData.status = status.toString();
+  if (deadline !== undefined) updateData.deadline = deadline ? new Date(deadline) : null;
+  if (autoCompleteSubtasks !== undefined) {
+    updateData.autoCompleteSubtasks = autoCompleteSubtasks === true || autoCompleteSubtasks === "true";
+  }
+  if (req.body.recurrence !== undefined) {
+    const recurrence = parseRecurrence(req.body.recurrence, updateData.deadline);
+    if (typeof recurrence === "string") {
+      return res.status(400).json({ error: recurrence });
+    }
+    updateData.recurrence = recurrence;
+  }
+  const estimateMinutes = parseEstimate(req.body.estimateMinutes);
+  if (typeof estimateMinutes === "string") {
+    return res.status(400).json({ error: estimateMinutes });
+  }
+  if (estimateMinutes !== undefined) {
+    updateData.estimateMinutes = estimateMinutes;
+  }
+
+  try {
+    const assigneeId = await resolveAssignee(req.body, req.task.projectId);
+    if (assigneeId && assigneeId.error) {
+      return res.status(400).json({ error: assigneeId.error });
+    }
+    if (assigneeId !== undefined) {
+      updateData.assigneeId = assigneeId;
+    }
+
+    const tags = await resolveTagIds(req.user.id, req.body.tagIds);
+    if (tags.error) {
+      return res.status(400).json({ error: tags.error });
+    }
+    if (tags.tagIds) {
+      updateData.tagIds = await mergeTaskTags(req.task, req.user.id, tags.tagIds);
+    }
+
+    // Turning auto-complete on completes a task whose subtasks are all checked off
+    if (updateData.autoCompleteSubtasks && req.task.allSubtasksDone()) {
+      updateData.status = "done";
+    }
+
+    const before = taskSnapshot(req.task);
+    const result = await applyTaskChange(req.task, updateData.status === "done", () =>
+      Task.findOneAndUpdate({ _id: id }, updateData, { new: true, runValidators: false })
+    );
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { task, nextTask } = result;
+    await recordActivity([
+      taskActivity(req.user.id, "update", task, before),
+      nextTask && taskActivity(req.user.id, "create", nextTask, null)
+    ]);
+    res.json(task);
+  } catch (err) {
+    console.error("API update task error:", err);
+    res.status(500).json({ error: "Failed to update task" });
+  }
+});
+
+// DELETE /api/tasks/:id - move a task to the trash (see /api/trash to restore or purge it)
+app.delete("/api/tasks/:id", isLoggedIn, requireWriteAccess, loadTask("editor"), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const task = await Task.findOneAndUpdate(
+      { _id: id },
+      { deletedAt: new Date(), deletedBy: req.user.id }
+    );
+    if (!task) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+    await recordActivity(taskActivity(req.user.id, "delete", task, taskSnapshot(task)));
+    res.json({ message: "Task moved to the trash" });
+  } catch (err) {
+    console.error("API delete task error:", err);
+    res.status(500).json({ error: "Failed to delete task" });
+  }
+});
+
+// ====== RESTful API Endpoints for the Trash ======
+
+// GET /api/trash - trashed personal tasks, or a project's with ?projectId=, most recently deleted first
+app.get("/api/trash", isLoggedIn, async (req, res) => {
+  try {
+    const scope = await projectTaskFilter(req.user.id, req.query.projectId, "viewer");
+    if (!scope) {
+      return res.status(403).json({ error: "You do not have access to this project" });
+    }
+    res.json(await findTrashedTasks(scope));
+  } catch (err) {
+    console.error("API get trash error:", err);
+    res.status(500).json({ error: "Failed to fetch trash" });
+  }
+});
+
+// POST /api/trash/:id/restore - take a task out of the trash
+app.post("/api/trash/:id/restore", isLoggedIn, requireWriteAccess, loadTask("editor", { trashed: true }), async (req, res) => {
+  try {
+    res.json(await restoreTask(req.user.id, req.task));
+  } catch (err) {
+    console.error("API restore task error:", err);
+    res.status(500).json({ error: "Failed to restore task" });
+  }
+});
+
+// DELETE /api/trash/:id - delete a trashed task permanently (list owners only)
+app.delete("/api/trash/:id", isLoggedIn, requireWriteAccess, loadTask("owner", { trashed: true }), async (req, res) => {
+  try {
+    await purgeTasks(req.user.id, [req.task]);
+    res.json({ message: "Task deleted permanently" });
+  } catch (err) {
+    console.error("API purge task error:", err);
+    res.status(500).json({ error: "Failed to delete task" });
+  }
+});
+
+// ====== RESTful API Endpoints for Projects ======
+
+// GET /api/projects - list the projects the caller belongs to, with their role
+app.get("/api/projects", isLoggedIn, async (req, res) => {
+  try {
+    const projects = await Project.find({ "members.userId": req.user.id }).sort({ name: 1 });
+    res.json(
+      projects.map((project) => ({
+        _id: project._id,
+        name: project.name,
+        role: project.roleOf(req.user.id),
+        memberCount: project.members.length
+      }))
+    );
+  } catch (err) {
+    console.error("API get projects error:", err);
+    res.status(500).json({ error: "Failed to fetch projects" });
+  }
+});
+
+// ====== RESTful API Endpoints for the Board ======
+
+// GET /api/board - board columns with their tasks for personal tasks, or a project with ?projectId=
+app.get("/api/board", isLoggedIn, async (req, res) => {
+  try {
+    const filter = await projectTaskFilter(req.user.id, req.query.projectId, "viewer");
+    if (!filter) {
+      return res.status(403).json({ error: "You do not have access to this project" });
+    }
+
+    const boardOwner = await loadBoardOwner(req.user.id, filter.projectId);
+    const tasks = await Task.find(filter);
+    res.json(
+      buildBoard(tasks, boardOwner.boardColumns).map(({ column, tasks: columnTasks }) => ({
+        _id: column._id,
+        name: column.name,
+        isDone: column.isDone,
+        tasks: columnTasks
+      }))
+    );
+  } catch (err) {
+    console.error("API get board error:", err);
+    res.status(500).json({ error: "Failed to fetch board" });
+  }
+});
+
+// ====== RESTful API Endpoints for Tags ======
+
+// GET /api/tags - list the caller's tags
+app.get("/api/tags", isLoggedIn, async (req, res) => {
+  try {
+    const tags = await Tag.find({ userId: req.user.id }).sort({ name: 1 });
+    res.json(tags);
+  } catch (err) {
+    console.error("API get tags error:", err);
+    res.status(500).json({ error: "Failed to fetch tags" });
+  }
+});
+
+// POST /api/tags - create a tag
+app.post("/api/tags", isLoggedIn, requireWriteAccess, async (req, res) => {
+  const input = parseTagInput(req.body, false);
+  if (input.error) {
+    return res.status(400).json({ error: input.error });
+  }
+
+  try {
+    const tag = await Tag.create({ ...input, userId: req.user.id });
+    res.status(201).json(tag);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: `You already have a tag named "${input.name}"` });
+    }
+    console.error("API create tag error:", err);
+    res.status(500).json({ error: "Failed to create tag" });
+  }
+});
+
+// PUT /api/tags/:id - rename or recolor a tag
+app.put("/api/tags/:id", isLoggedIn, requireWriteAccess, async (req, res) => {
+  const input = parseTagInput(req.body, true);
+  if (input.error) {
+    return res.status(400).json({ error: input.error });
+  }
+
+  try {
+    const tag = await Tag.findOneAndUpdate({ _id: req.params.id, userId: req.user.id }, input, { new: true });
+    if (!tag) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+    res.json(tag);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: `You already have a tag named "${input.name}"` });
+    }
+    console.error("API update tag error:", err);
+    res.status(500).json({ error: "Failed to update tag" });
+  }
+});
+
+// DELETE /api/tags/:id - delete a tag and remove it from every task
+app.delete("/api/tags/:id", isLoggedIn, requireWriteAccess, async (req, res) => {
+  try {
+    const tag = await Tag.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    if (!tag) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+    await removeTagFromTasks(req.user.id, tag._id);
+    res.json({ message: "Tag deleted" });
+  } catch (err) {
+    console.error("API delete tag error:", err);
+    res.status(500).json({ error: "Failed to delete tag" });
+  }
+});
+
+// ====== RESTful API Endpoints for Subtasks ======
+// Each endpoint returns the full updated task so clients can refresh progress.
+
+// POST /api/tasks/:id/subtasks - append a subtask to a task's checklist
+app.post("/api/tasks/:id/subtasks", isLoggedIn, requireWriteAccess, loadTask("editor"), async (req, res) => {
+  const { title, deadline } = req.body;
+
+  if (!title || !title.toString().trim()) {
+    return res.status(400).json({ error: "Subtask title is required" });
+  }
+
+  try {
+    const task = req.task;
+    const before = taskSnapshot(task);
+
+    task.subtasks.push({
+      title: title.toString().trim(),
+      deadline: deadline ? new Date(deadline) : undefined
+    });
+    await task.save();
+    await recordActivity(taskActivity(req.user.id, "update", task, before));
+    res.status(201).json(task);
+  } catch (err) {
+    console.error("API add subtask error:", err);
+    res.status(500).json({ error: "Failed to add subtask" });
+  }
+});
+
+// POST /api/tasks/:id/subtasks/reorder - save a new checklist order
+app.post("/api/tasks/:id/subtasks/reorder", isLoggedIn, requireWriteAccess, loadTask("editor"), async (req, res) => {
+  const { subtaskIds } = req.body;
+
+  if (!Array.isArray(subtaskIds)) {
+    return res.status(400).json({ error: "subtaskIds must be an array" });
+  }
+
+  try {
+    const task = req.task;
+    const before = taskSnapshot(task);
+
+    const reordered = subtaskIds.map((subtaskId) => task.subtasks.id(subtaskId));
+    const duplicates = new Set(subtaskIds.map(String)).size !== subtaskIds.length;
+    if (duplicates || reordered.length !== task.subtasks.length || reordered.some((subtask) => !subtask)) {
+      return res.status(400).json({ error: "subtaskIds must list every subtask of the task exactly once" });
+    }
+
+    task.subtasks = reordered.map((subtask) => subtask.toObject());
+    await task.save();
+    await recordActivity(taskActivity(req.user.id, "update", task, before));
+    res.json(task);
+  } catch (err) {
+    console.error("API reorder subtasks error:", err);
+    res.status(500).json({ error: "Failed to reorder subtasks" });
+  }
+});
+
+// PUT /api/tasks/:id/subtasks/:subtaskId - rename, reschedule or toggle a subtask
+app.put("/api/tasks/:id/subtasks/:subtaskId", isLoggedIn, requireWriteAccess, loadTask("editor"), async (req, res) => {
+  const { title, done, deadline } = req.body;
+
+  try {
+    const task = req.task;
+    const before = taskSnapshot(task);
+
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({ error: "Subtask not found" });
+    }
+
+    if (title !== undefined) subtask.title = title.toString();
+    if (done !== undefined) subtask.done = done === true || done === "true";
+    if (deadline !== undefined) subtask.deadline = deadline ? new Date(deadline) : undefined;
+
+    // Checking off the last subtask of an auto-complete task completes it, unless it is blocked
+    const result = await applyTaskChange(task, task.completesBySubtasks(), () => {
+      task.applySubtaskRollup();
+      return task.save();
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordActivity([
+      taskActivity(req.user.id, "update", task, before),
+      result.nextTask && taskActivity(req.user.id, "create", result.nextTask, null)
+    ]);
+    res.json(task);
+  } catch (err) {
+    console.error("API update subtask error:", err);
+    res.status(500).json({ error: "Failed to update subtask" });
+  }
+});
+
+// DELETE /api/tasks/:id/subtasks/:subtaskId - remove a subtask
+app.delete("/api/tasks/:id/subtasks/:subtaskId", isLoggedIn, requireWriteAccess, loadTask("editor"), async (req, res) => {
+  try {
+    const task = req.task;
+    const before = taskSnapshot(task);
+
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({ error: "Subtask not found" });
+    }
+
+    subtask.deleteOne();
+    const result = await applyTaskChange(task, task.completesBySubtasks(), () => {
+      task.applySubtaskRollup();
+      return task.save();
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordActivity([
+      taskActivity(req.user.id, "update", task, before),
+      result.nextTask && taskActivity(req.user.id, "create", result.nextTask, null)
+    ]);
+    res.json(task);
+  } catch (err) {
+    console.error("API delete subtask error:", err);
+    res.status(500).json({ error: "Failed to delete subtask" });
+  }
+});
+
+// ====== RESTful API Endpoints for Activity ======
+
+const ACTIVITY_PAGE_SIZE = 50;
+const ACTIVITY_MAX_PAGE_SIZE = 200;
+
+// GET /api/activity - activity log entries, newest first. Filter by taskId, userId (who made the
+// change; "me" for the caller), projectId, action (comma-separated) and a time range with from/to
+// (a date-only "to" includes that whole day). Paginate with limit and cursor like GET /api/tasks.
+// Callers see the history of tasks they can access (including deleted tasks of their projects
+// and of their personal list) and every change they made themselves.
+app.get("/api/activity", isLoggedIn, async (req, res) => {
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : ACTIVITY_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > ACTIVITY_MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be a number from 1 to ${ACTIVITY_MAX_PAGE_SIZE}` });
+  }
+
+  const conditions = [];
+  for (const param of ["taskId", "projectId", "cursor"]) {
+    if (req.query[param] && !mongoose.isValidObjectId(req.query[param])) {
+      return res.status(400).json({ error: `Invalid ${param}` });
+    }
+  }
+  if (req.query.taskId) {
+    conditions.push({ taskId: req.query.taskId });
+  }
+  if (req.query.projectId) {
+    conditions.push({ projectId: req.query.projectId });
+  }
+  if (req.query.cursor) {
+    conditions.push({ _id: { $lt: req.query.cursor } });
+  }
+
+  if (req.query.userId) {
+    const userId = req.query.userId === "me" ? req.user.id : req.query.userId.toString();
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: "Invalid userId" });
+    }
+    conditions.push({ userId });
+  }
+
+  if (req.query.action) {
+    const actions = queryList(req.query.action);
+    const allowed = Activity.schema.path("action").enumValues;
+    if (actions.some((action) => !allowed.includes(action))) {
+      return res.status(400).json({ error: `action must be one of: ${allowed.join(", ")}` });
+    }
+    conditions.push({ action: { $in: actions } });
+  }
+
+  if (req.query.from || req.query.to) {
+    const createdAt = {};
+    if (req.query.from) {
+      const from = new Date(req.query.from);
+      if (isNaN(from.getTime())) {
+        return res.status(400).json({ error: "from is not a valid date" });
+      }
+      createdAt.$gte = from;
+    }
+    if (req.query.to) {
+      const to = new Date(req.query.to);
+      if (isNaN(to.getTime())) {
+        return res.status(400).json({ error: "to is not a valid date" });
+      }
+      if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+        to.setUTCDate(to.getUTCDate() + 1);
+      }
+      createdAt.$lt = to;
+    }
+    conditions.push({ createdAt });
+  }
+
+  try {
+    // The whole history of a task the caller can access now, whoever made the changes
+    const task = req.query.taskId ? await Task.findById(req.query.taskId).setOptions({ withDeleted: true }) : null;
+    if (task) {
+      if (!(await getTaskRole(req.user.id, task))) {
+        return res.status(404).json({ error: "Task not found" });
+      }
+    } else {
+      const projects = await Project.find({ "members.userId": req.user.id }, "_id");
+      conditions.push({
+        $or: [
+          { projectId: { $in: projects.map((project) => project._id) } },
+          { projectId: null, taskOwnerId: req.user.id },
+          { userId: req.user.id }
+        ]
+      });
+    }
+
+    // Fetch one extra entry to know whether there is another page
+    const entries = await Activity.find({ $and: conditions })
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .populate("userId", "username displayName");
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+
+    res.json({
+      activity: page,
+      next: hasMore ? page[page.length - 1]._id : null
+    });
+  } catch (err) {
+    console.error("API get activity error:", err);
+    res.status(500).json({ error: "Failed to fetch activity" });
+  }
+});
+
+// ====== Calendar Helpers ======
+// Tasks are exchanged with calendar apps as iCalendar (RFC 5545) data. Deadlines are dates
+// without a time of day, so they are written as all-day DATE values.
+
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+const ICS_MAX_IMPORT_TASKS = 500;
+
+function escapeIcsText(value) {
+  return value
+    .toString()
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeIcsText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_match, char) => (char === "n" || char === "N" ? "\n" : char));
+}
+
+// Content lines are limited to 75 octets; longer ones continue on lines starting with a space
+function foldIcsLine(line) {
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (currentBytes + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function formatIcsDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+function formatIcsDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Build a calendar of tasks with deadlines, as all-day events (type "event") or to-dos (type "todo").
+// Expects tagIds to be populated so tag names can be listed as categories.
+function buildTaskCalendar(tasks, { type, name }) {
+  const stamp = formatIcsDateTime(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Smart Task Manager//Tasks//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(name)}`
+  ];
+
+  tasks.forEach((task) => {
+    const done = task.status === "done";
+    const component = type === "todo" ? "VTODO" : "VEVENT";
+    lines.push(`BEGIN:${component}`, `UID:${task._id}@smart-task-manager`, `DTSTAMP:${stamp}`);
+
+    if (type === "todo") {
+      lines.push(`SUMMARY:${escapeIcsText(task.title)}`);
+      lines.push(`DUE;VALUE=DATE:${formatIcsDate(task.deadline)}`);
+      lines.push(`STATUS:${done ? "COMPLETED" : "NEEDS-ACTION"}`);
+      if (done && task.completedAt) {
+        lines.push(`COMPLETED:${formatIcsDateTime(task.completedAt)}`);
+      }
+    } else {
+      // Events have no "done" state, so completed tasks are marked in the title
+      const nextDay = new Date(task.deadline.getTime() + 24 * 60 * 60 * 1000);
+      lines.push(`SUMMARY:${escapeIcsText((done ? "[Done] " : "") + task.title)}`);
+      lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(task.deadline)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatIcsDate(nextDay)}`);
+      lines.push("TRANSP:TRANSPARENT");
+    }
+
+    lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority] || ICS_PRIORITIES.medium}`);
+    if (task.description) {
+      lines.push(`DESCRIPTION:${escapeIcsText(task.description)}`);
+    }
+    const tagNames = (task.tagIds || []).filter((tag) => tag && tag.name).map((tag) => escapeIcsText(tag.name));
+    if (tagNames.length > 0) {
+      lines.push(`CATEGORIES:${tagNames.join(",")}`);
+    }
+    if (task.updatedAt) {
+      lines.push(`LAST-MODIFIED:${formatIcsDateTime(task.updatedAt)}`);
+    }
+    lines.push(`END:${component}`);
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+// Split a content line into its name, parameters and value (parameter values may be quoted)
+function parseIcsLine(line) {
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ":" && !inQuotes) {
+      const [name, ...params] = line.slice(0, i).split(";");
+      return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+    }
+  }
+  return null;
+}
+
+// DATE (20250131) or DATE-TIME (20250131T090000Z) value; only the date is kept
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || "");
+  if (!match) {
+    return undefined;
+  }
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// Read the events and to-dos of an .ics file as task fields.
+// Nested components such as alarms are skipped, as are cancelled items.
+function parseTaskCalendar(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const items = [];
+  let current = null;
+  let nestedDepth = 0;
+
+  for (const line of lines) {
+    const property = parseIcsLine(line);
+    if (!property) {
+      continue;
+    }
+    const value = property.value.trim().toUpperCase();
+
+    if (property.name === "BEGIN") {
+      if (current) {
+        nestedDepth++;
+      } else if (value === "VEVENT" || value === "VTODO") {
+        current = { component: value, categories: [] };
+      }
+    } else if (property.name === "END") {
+      if (current && nestedDepth > 0) {
+        nestedDepth--;
+      } else if (current && value === current.component) {
+        items.push(current);
+        current = null;
+      }
+    } else if (current && nestedDepth === 0) {
+      if (property.name === "CATEGORIES") {
+        current.categories.push(...property.value.split(/(?<!\\),/).map(unescapeIcsText));
+      } else if (!(property.name in current)) {
+        current[property.name] = property.value;
+      }
+    }
+  }
+
+  return items
+    .filter((item) => (item.STATUS || "").toUpperCase() !== "CANCELLED")
+    .map((item) => {
+      let title = unescapeIcsText(item.SUMMARY || "").trim();
+      let done = (item.STATUS || "").toUpperCase() === "COMPLETED";
+      if (title.startsWith("[Done] ")) {
+        title = title.slice(7);
+        done = true;
+      }
+
+      const icsPriority = parseInt(item.PRIORITY, 10);
+      let priority = "medium";
+      if (icsPriority >= 1 && icsPriority <= 4) {
+        priority = "high";
+      } else if (icsPriority >= 6 && icsPriority <= 9) {
+        priority = "low";
+      }
+
+      return {
+        title: title || "Untitled Task",
+        description: item.DESCRIPTION ? unescapeIcsText(item.DESCRIPTION) : "",
+        priority,
+        status: done ? "done" : "pending",
+        deadline: parseIcsDate(item.DUE || item.DTSTART),
+        categories: item.categories.map((name) => name.trim()).filter(Boolean)
+      };
+    });
+}
+
+// ====== Routes: Calendar Feed and Import ======
+
+// Subscription feed for calendar apps. The secret token in the URL replaces the login, so the
+// feed works without a session. Add ?type=todo to get to-dos instead of all-day events.
+app.get("/calendar/:token.ics", async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarFeedToken: req.params.token });
+    if (!user) {
+      return res.status(404).send("Calendar feed not found");
+    }
+
+    // Personal tasks, tasks of the user's projects and tasks assigned to the user
+    const projects = await Project.find({ "members.userId": user._id }, "_id");
+    const tasks = await Task.find({
+      deadline: { $ne: null },
+      $or: [
+        { projectId: null, userId: user._id },
+        { projectId: { $in: projects.map((project) => project._id) } },
+        { assigneeId: user._id }
+      ]
+    })
+      .sort({ deadline: 1 })
+      .populate("tagIds", "name");
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'inline; filename="tasks.ics"');
+    res.send(
+      buildTaskCalendar(tasks, {
+        type: req.query.type === "todo" ? "todo" : "event",
+        name: `Smart Task Manager (${user.displayName || user.username})`
+      })
+    );
+  } catch (err) {
+    console.error("Calendar feed error:", err);
+    res.status(500).send("Error generating calendar feed");
+  }
+});
+
+// Create the feed URL, or replace it so the old URL stops working
+app.post("/calendar/feed", isLoggedIn, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { calendarFeedToken: crypto.randomBytes(24).toString("hex") });
+    res.redirect("/dashboard?success=" + encodeURIComponent("New calendar feed URL created. Update your calendar subscriptions."));
+  } catch (err) {
+    console.error("Create calendar feed error:", err);
+    res.redirect("/dashboard?error=" + encodeURIComponent("Failed to create calendar feed. Try again later."));
+  }
+});
+
+app.post("/calendar/feed/revoke", isLoggedIn, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { calendarFeedToken: 1 } });
+    res.redirect("/dashboard?success=" + encodeURIComponent("Calendar feed turned off"));
+  } catch (err) {
+    console.error("Revoke calendar feed error:", err);
+    res.redirect("/dashboard?error=" + encodeURIComponent("Failed to turn off calendar feed. Try again later."));
+  }
+});
+
+// Create tasks from the events and to-dos of an uploaded .ics file (in the selected project, if any).
+// Categories matching the user's tag names are added as tags.
+app.post(
+  "/calendar/import",
+  isLoggedIn,
+  uploadImportFile("/dashboard"),
+  async (req, res) => {
+    if (!req.file) {
+      return res.redirect("/dashboard?error=" + encodeURIComponent("Please choose an .ics file to import"));
+    }
+
+    const items = parseTaskCalendar(req.file.buffer.toString("utf8"));
+    if (items.length === 0) {
+      return res.redirect("/dashboard?error=" + encodeURIComponent("No events or to-dos found in the file"));
+    }
+    if (items.length > ICS_MAX_IMPORT_TASKS) {
+      return res.redirect("/dashboard?error=" + encodeURIComponent(`A file can contain at most ${ICS_MAX_IMPORT_TASKS} tasks`));
+    }
+
+    try {
+      const scope = await projectTaskFilter(req.user.id, req.body.projectId, "editor");
+      if (!scope) {
+        return res.redirect("/dashboard?error=" + encodeURIComponent("You do not have permission to add tasks to this project"));
+      }
+
+      const tags = await Tag.find({ userId: req.user.id });
+      const tagsByName = new Map(tags.map((tag) => [tag.name.toLowerCase(), tag._id]));
+
+      const created = await Task.insertMany(
+        items.map((item) => ({
+          title: item.title,
+          description: item.description,
+          priority: item.priority,
+          status: item.status,
+          deadline: item.deadline,
+          userId: req.user.id,
+          projectId: scope.projectId || undefined,
+          tagIds: [...new Set(item.categories.map((name) => tagsByName.get(name.toLowerCase())).filter(Boolean))]
+        }))
+      );
+      await recordActivity(created.map((task) => taskActivity(req.user.id, "create", task, null)));
+      res.redirect("/dashboard?success=" + encodeURIComponent(`Imported ${items.length} task(s) from ${req.file.originalname}`));
+    } catch (err) {
+      console.error("Calendar import error:", err);
+      res.redirect("/dashboard?error=" + encodeURIComponent("Failed to import tasks. Please check the file and try again."));
+    }
+  }
+);
+
+// ====== Import/Export Helpers ======
+
+// Columns of a task export, in order. In CSV, objects and arrays (subtasks, recurrence, tagIds) are written as JSON.
+const TASK_EXPORT_FIELDS = [
+  "_id",
+  "title",
+  "description",
+  "priority",
+  "deadline",
+  "status",
+  "order",
+  "columnId",
+  "boardOrder",
+  "subtasks",
+  "autoCompleteSubtasks",
+  "recurrence",
+  "seriesId",
+  "nextOccurrenceId",
+  "userId",
+  "projectId",
+  "assigneeId",
+  "tagIds",
+  "blockedByIds",
+  "estimateMinutes",
+  "createdAt",
+  "updatedAt"
+];
+
+// Fields read back by the import. Ownership, series and dependency links and timestamps are set by the server.
+const TASK_IMPORT_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "deadline",
+  "status",
+  "order",
+  "columnId",
+  "boardOrder",
+  "subtasks",
+  "autoCompleteSubtasks",
+  "recurrence",
+  "assigneeId",
+  "tagIds",
+  "estimateMinutes"
+];
+const TASK_IMPORT_JSON_FIELDS = ["subtasks", "recurrence", "tagIds"];
+const TASK_IMPORT_MAX_ROWS = 1000;
+// How long an uploaded file waits for its preview to be confirmed
+const TASK_IMPORT_TTL_MS = 60 * 60 * 1000;
+// Spreadsheets treat cells starting with one of these characters as formulas
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function formatCsvValue(value) {
+  let text = "";
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (value instanceof mongoose.Types.ObjectId) {
+    text = value.toString();
+  } else if (value !== null && typeof value === "object") {
+    text = JSON.stringify(value);
+  } else if (value !== null && value !== undefined) {
+    text = String(value);
+  }
+  // A leading ' makes spreadsheets show the cell as text instead of running it
+  if (CSV_FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function tasksToCsv(tasks) {
+  const lines = tasks.map((task) => {
+    const data = task.toObject({ depopulate: true });
+    return TASK_EXPORT_FIELDS.map((field) => formatCsvValue(data[field])).join(",");
+  });
+  return [TASK_EXPORT_FIELDS.join(","), ...lines].join("\r\n") + "\r\n";
+}
+
+// Parse CSV text into rows of strings. Quoted fields may contain commas, quotes ("") and line breaks.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((values) => values.some((value) => value.trim() !== ""));
+}
+
+// Read the records of an uploaded CSV or JSON file (an array of tasks, or { tasks: [...] }
+// as returned by GET /api/tasks). Returns { records } or { error }.
+function readTaskImportFile(file) {
+  const text = file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+  const isJson = /\.json$/i.test(file.originalname) || /^\s*[[{]/.test(text);
+
+  if (isJson) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      return { error: "The file is not valid JSON" };
+    }
+    const records = Array.isArray(parsed) ? parsed : parsed && parsed.tasks;
+    if (!Array.isArray(records) || records.some((record) => !record || typeof record !== "object" || Array.isArray(record))) {
+      return { error: "The JSON file must contain an array of tasks" };
+    }
+    return { records };
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  if (!header || !header.map((name) => name.trim()).includes("title")) {
+    return { error: "The CSV file needs a header row with at least a \"title\" column" };
+  }
+  const columns = header.map((name) => name.trim());
+  return {
+    records: rows.map((values) => {
+      const record = {};
+      columns.forEach((column, index) => {
+        // Undo the ' that formatCsvValue puts in front of formula-like cells
+        const value = (values[index] || "").replace(/^'(?=[=+\-@\t\r])/, "").trim();
+        if (value !== "") {
+          record[column] = value;
+        }
+      });
+      return record;
+    })
+  };
+}
+
+// Message for one Mongoose validation error, e.g. "priority must be one of: low, medium, high"
+function describeImportError(err) {
+  if (err.kind === "enum") {
+    return `${err.path} must be one of: ${err.properties.enumValues.join(", ")}`;
+  }
+  if (err.kind === "required") {
+    return `${err.path} is required`;
+  }
+  if (err.name === "CastError") {
+    return `${err.path} is not a valid ${err.kind.toLowerCase()}`;
+  }
+  return err.message;
+}
+
+// Check each imported record against the Task schema and decide what it will do.
+// In "upsert" mode a record whose _id matches a task in the target list updates that task;
+// any other record creates a new task (keeping its _id when that id is unused).
+// Returns one row per record: { line, data, errors, action, taskId }.
+async function planTaskImport(userId, scope, records, mode) {
+  const ownTagIds = new Set((await Tag.find({ userId }, "_id")).map((tag) => tag._id.toString()));
+
+  const rows = records.map((record, index) => {
+    const errors = [];
+    const data = {};
+    TASK_IMPORT_FIELDS.forEach((field) => {
+      let value = record[field];
+      if (value === undefined || value === null || value === "") {
+        return;
+      }
+      if (TASK_IMPORT_JSON_FIELDS.includes(field) && typeof value === "string") {
+        try {
+          value = JSON.parse(value);
+        } catch (err) {
+          errors.push(`${field} is not valid JSON`);
+          return;
+        }
+      }
+      data[field] = value;
+    });
+
+    // Tags only carry over when they are the importing user's own tags
+    if (data.tagIds) {
+      data.tagIds = [].concat(data.tagIds).map(String).filter((id) => ownTagIds.has(id));
+    }
+
+    const validationError = new Task({ ...data, userId }).validateSync();
+    if (validationError) {
+      errors.push(...Object.values(validationError.errors).map(describeImportError));
+    }
+
+    const taskId = record._id ? record._id.toString() : null;
+    if (taskId && !mongoose.isValidObjectId(taskId)) {
+      errors.push("_id is not a valid task id");
+    }
+
+    // CSV rows start on line 2, after the header
+    return { line: index + 2, data, errors, action: "create", taskId: errors.length === 0 ? taskId : null };
+  });
+
+  const assigneeIds = rows
+    .map((row) => row.data.assigneeId)
+    .filter((id) => id && mongoose.isValidObjectId(id));
+  const assignees = new Set((await User.find({ _id: { $in: assigneeIds } }, "_id")).map((user) => user._id.toString()));
+  // Project tasks can only be assigned to members of the project
+  const project = scope.projectId ? await Project.findById(scope.projectId) : null;
+  rows.forEach((row) => {
+    if (row.data.assigneeId && !assignees.has(row.data.assigneeId.toString())) {
+      row.errors.push("Assignee not found");
+    } else if (row.data.assigneeId && project && !project.roleOf(row.data.assigneeId)) {
+      row.errors.push("The assignee must be a member of the project");
+    }
+  });
+
+  const ids = rows.map((row) => row.taskId).filter(Boolean);
+  const existing = await Task.find({ _id: { $in: ids } }, "_id userId projectId deletedAt").setOptions({ withDeleted: true });
+  rows.forEach((row) => {
+    const task = row.taskId && existing.find((item) => item._id.toString() === row.taskId);
+    if (!task) {
+      return;
+    }
+    const inScope = scope.projectId
+      ? task.projectId && task.projectId.equals(scope.projectId)
+      : !task.projectId && task.userId && task.userId.toString() === userId;
+    if (mode !== "upsert") {
+      // The id is taken, so a copy is created with a new id
+      row.taskId = null;
+    } else if (inScope && task.deletedAt) {
+      row.errors.push("The task with this _id is in the trash; restore it first");
+    } else if (inScope) {
+      row.action = "update";
+    } else {
+      row.errors.push("A task with this _id exists in another list");
+    }
+  });
+
+  return rows;
+}
+
+// ====== Routes: Task Import/Export ======
+
+// GET /api/tasks/export?format=csv|json - every personal task, or every task of ?projectId=,
+// with all stored fields. Defaults to JSON.
+app.get("/api/tasks/export", isLoggedIn, async (req, res) => {
+  const format = req.query.format === "csv" ? "csv" : "json";
+
+  try {
+    const scope = await projectTaskFilter(req.user.id, req.query.projectId, "viewer");
+    if (!scope) {
+      return res.status(403).json({ error: "You do not have access to this project" });
+    }
+
+    const tasks = await Task.find(scope).sort({ order: 1, deadline: 1 });
+    const fileName = `tasks-${todayDate().toISOString().slice(0, 10)}.${format}`;
+    res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    if (format === "csv") {
+      res.type("text/csv").send(tasksToCsv(tasks));
+    } else {
+      res.json(tasks.map((task) => task.toObject({ depopulate: true })));
+    }
+  } catch (err) {
+    console.error("Export tasks error:", err);
+    res.status(500).json({ error: "Failed to export tasks" });
+  }
+});
+
+// Forget the file uploaded for the import preview, if any
+async function discardPendingImport(req) {
+  if (req.session.taskImportId) {
+    await TaskImport.deleteOne({ _id: req.session.taskImportId, userId: req.user.id });
+    delete req.session.taskImportId;
+  }
+}
+
+// Import page for the list selected on the dashboard. Uploading a file shows a preview;
+// nothing is saved until the preview is confirmed.
+app.get("/tasks/import", isLoggedIn, async (req, res) => {
+  try {
+    await discardPendingImport(req);
+    const project = req.session.projectId ? await Project.findById(req.session.projectId) : null;
+    const error = req.query.error ? decodeURIComponent(req.query.error) : null;
+    res.render("import-tasks", { listName: project ? project.name : "Personal tasks", preview: null, error });
+  } catch (err) {
+    console.error("Import page error:", err);
+    res.status(500).send("Error loading import page");
+  }
+});
+
+app.post("/tasks/import/preview", isLoggedIn, uploadImportFile("/tasks/import"), async (req, res) => {
+  if (!req.file) {
+    return res.redirect("/tasks/import?error=" + encodeURIComponent("Please choose a CSV or JSON file"));
+  }
+
+  const file = readTaskImportFile(req.file);
+  if (file.error) {
+    return res.redirect("/tasks/import?error=" + encodeURIComponent(file.error));
+  }
+  if (file.records.length === 0) {
+    return res.redirect("/tasks/import?error=" + encodeURIComponent("The file does not contain any tasks"));
+  }
+  if (file.records.length > TASK_IMPORT_MAX_ROWS) {
+    return res.redirect("/tasks/import?error=" + encodeURIComponent(`A file can contain at most ${TASK_IMPORT_MAX_ROWS} tasks`));
+  }
+
+  try {
+    const projectId = req.session.projectId || null;
+    const scope = await projectTaskFilter(req.user.id, projectId, "editor");
+    if (!scope) {
+      return res.redirect("/tasks/import?error=" + encodeURIComponent("You do not have permission to add tasks to this project"));
+    }
+
+    const mode = req.body.mode === "upsert" ? "upsert" : "create";
+    const rows = await planTaskImport(req.user.id, scope, file.records, mode);
+
+    // The records are kept until the import is confirmed and checked again then
+    await discardPendingImport(req);
+    const pending = await TaskImport.create({
+      userId: req.user.id,
+      projectId,
+      mode,
+      fileName: req.file.originalname,
+      recordsJson: JSON.stringify(file.records),
+      expiresAt: new Date(Date.now() + TASK_IMPORT_TTL_MS)
+    });
+    req.session.taskImportId = pending._id.toString();
+
+    const project = projectId ? await Project.findById(projectId) : null;
+    res.render("import-tasks", {
+      listName: project ? project.name : "Personal tasks",
+      preview: { fileName: req.file.originalname, mode, rows },
+      error: null
+    });
+  } catch (err) {
+    console.error("Import preview error:", err);
+    res.redirect("/tasks/import?error=" + encodeURIComponent("Failed to read the file. Please check it and try again."));
+  }
+});
+
+// Save the previewed import. Rows with errors are skipped.
+app.post("/tasks/import", isLoggedIn, async (req, res) => {
+  try {
+    const pending = req.session.taskImportId
+      ? await TaskImport.findOne({ _id: req.session.taskImportId, userId: req.user.id })
+      : null;
+    if (!pending) {
+      return res.redirect("/tasks/import?error=" + encodeURIComponent("Nothing to import. Please upload the file again."));
+    }
+
+    const scope = await projectTaskFilter(req.user.id, pending.projectId, "editor");
+    if (!scope) {
+      return res.redirect("/tasks/import?error=" + encodeURIComponent("You do not have permission to add tasks to this project"));
+    }
+
+    const rows = (await planTaskImport(req.user.id, scope, JSON.parse(pending.recordsJson), pending.mode)).filter((row) => row.errors.length === 0);
+    const creates = rows.filter((row) => row.action === "create");
+    const updates = rows.filter((row) => row.action === "update");
+
+    const created = await Task.insertMany(
+      creates.map((row) => ({
+        ...row.data,
+        ...(row.taskId ? { _id: row.taskId } : {}),
+        userId: req.user.id,
+        projectId: scope.projectId || undefined
+      }))
+    );
+    const entries = created.map((task) => taskActivity(req.user.id, "create", task, null));
+    // Rows that would complete a blocked task are skipped
+    let blockedCount = 0;
+    for (const row of updates) {
+      const existing = await Task.findOne({ $and: [{ _id: row.taskId }, scope] });
+      if (existing) {
+        const before = taskSnapshot(existing);
+        const result = await applyTaskChange(existing, row.data.status === "done", () => {
+          existing.set(row.data);
+          return existing.save();
+        });
+        if (result.error) {
+          blockedCount++;
+          continue;
+        }
+        entries.push(
+          taskActivity(req.user.id, "update", existing, before),
+          result.nextTask && taskActivity(req.user.id, "create", result.nextTask, null)
+        );
+      }
+    }
+    await recordActivity(entries);
+
+    await discardPendingImport(req);
+    const blockedNote = blockedCount > 0 ? `, ${blockedCount} skipped because they are blocked` : "";
+    res.redirect(
+      "/dashboard?success=" +
+        encodeURIComponent(
+          `Imported ${pending.fileName}: ${creates.length} task(s) created, ${updates.length - blockedCount} updated${blockedNote}`
+        )
+    );
+  } catch (err) {
+    console.error("Import tasks error:", err);
+    res.redirect("/tasks/import?error=" + encodeURIComponent("Failed to import tasks. Please try again."));
+  }
+});
+
+// ====== Comment and Attachment Helpers ======
+// Tasks have threaded comments (Models/Comment.js) and file attachments (Models/Attachment.js).
+// Attachment files are stored on local disk in UPLOAD_DIR (ATTACHMENT_STORAGE=disk, the default)
+// or in MongoDB GridFS (ATTACHMENT_STORAGE=gridfs) for hosts without a persistent disk.
+
+const ATTACHMENT_STORAGE = process.env.ATTACHMENT_STORAGE === "gridfs" ? "gridfs" : "disk";
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "uploads"));
+const ATTACHMENT_MAX_MB = parseFloat(process.env.ATTACHMENT_MAX_MB || "10");
+const ATTACHMENT_EXTENSIONS = (
+  process.env.ATTACHMENT_EXTENSIONS ||
+  ".png,.jpg,.jpeg,.gif,.webp,.pdf,.txt,.md,.csv,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.zip"
+)
+  .split(",")
+  .map((extension) => extension.trim().toLowerCase())
+  .filter(Boolean);
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_MB * 1024 * 1024 },
+  fileFilter: (req, file, done) => {
+    if (!ATTACHMENT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      const err = new Error("File type not allowed");
+      err.code = "FILE_TYPE";
+      return done(err);
+    }
+    done(null, true);
+  }
+});
+
+// Accept one file in the "file" field as req.file. Upload errors answer with JSON for /api
+// requests and redirect back to the task page for form posts.
+function uploadAttachment(req, res, next) {
+  attachmentUpload.single("file")(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+    let message = "Failed to upload file";
+    if (err.code === "LIMIT_FILE_SIZE") {
+      message = `The file is too large (max ${ATTACHMENT_MAX_MB} MB)`;
+    } else if (err.code === "FILE_TYPE") {
+      message = `Only these file types can be attached: ${ATTACHMENT_EXTENSIONS.join(", ")}`;
+    }
+    if (req.originalUrl.startsWith("/api/")) {
+      return res.status(400).json({ error: message });
+    }
+    res.redirect(`/tasks/${req.params.id}?error=` + encodeURIComponent(message));
+  });
+}
+
+function attachmentBucket() {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: "attachments" });
+}
+
+// Save an uploaded file and return its storage key
+async function storeAttachmentFile(file) {
+  if (ATTACHMENT_STORAGE === "gridfs") {
+    return new Promise((resolve, reject) => {
+      const upload = attachmentBucket().openUploadStream(file.originalname, { contentType: file.mimetype });
+      upload.on("error", reject);
+      upload.on("finish", () => resolve(upload.id.toString()));
+      upload.end(file.buffer);
+    });
+  }
+
+  // Random file names on disk, so user-supplied names never reach the file system
+  const storageKey = crypto.randomBytes(16).toString("hex") + path.extname(file.originalname).toLowerCase();
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(UPLOAD_DIR, storageKey), file.buffer);
+  return storageKey;
+}
+
+function openAttachmentStream(attachment) {
+  if (attachment.storage === "gridfs") {
+    return attachmentBucket().openDownloadStream(new mongoose.Types.ObjectId(attachment.storageKey));
+  }
+  return fs.createReadStream(path.join(UPLOAD_DIR, attachment.storageKey));
+}
+
+async function removeAttachmentFile(attachment) {
+  try {
+    if (attachment.storage === "gridfs") {
+      await attachmentBucket().delete(new mongoose.Types.ObjectId(attachment.storageKey));
+    } else {
+      await fs.promises.unlink(path.join(UPLOAD_DIR, attachment.storageKey));
+    }
+  } catch (err) {
+    // The file may already be gone; the metadata is removed either way
+    console.error("Remove attachment file error:", err.message);
+  }
+}
+
+// Create an Attachment for an uploaded file (req.file)
+async function saveAttachment(task, userId, file) {
+  const storageKey = await storeAttachmentFile(file);
+  return Attachment.create({
+    taskId: task._id,
+    userId,
+    fileName: file.originalname,
+    mimeType: file.mimetype || "application/octet-stream",
+    size: file.size,
+    storage: ATTACHMENT_STORAGE,
+    storageKey
+  });
+}
+
+// Stream an attachment as a download. Files are never shown inline, so an uploaded
+// HTML or SVG file cannot run scripts on this site.
+function sendAttachment(res, attachment) {
+  res.set("Content-Type", attachment.mimeType);
+  res.set("X-Content-Type-Options", "nosniff");
+  res.attachment(attachment.fileName);
+
+  const stream = openAttachmentStream(attachment);
+  stream.on("error", (err) => {
+    console.error("Download attachment error:", err.message);
+    if (!res.headersSent) {
+      res.status(404).send("File not found");
+    } else {
+      res.end();
+    }
+  });
+  stream.pipe(res);
+}
+
+// Remove comments and attachments (with their files) of tasks that are deleted permanently
+async function deleteTaskDiscussion(taskIds) {
+  const attachments = await Attachment.find({ taskId: { $in: taskIds } });
+  await Promise.all(attachments.map(removeAttachmentFile));
+  await Attachment.deleteMany({ taskId: { $in: taskIds } });
+  await Comment.deleteMany({ taskId: { $in: taskIds } });
+}
+
+// Comments of a task grouped into threads: top-level comments in order, each with its replies
+function buildCommentThreads(comments) {
+  return comments
+    .filter((comment) => !comment.parentId)
+    .map((comment) => ({
+      comment,
+      replies: comments.filter((reply) => reply.parentId && reply.parentId.equals(comment._id))
+    }));
+}
+
+// Validate a new comment. Returns { body, parentId } or { error }.
+async function parseCommentInput(task, body) {
+  const text = body.body ? body.body.toString().trim() : "";
+  if (!text) {
+    return { error: "Comment cannot be empty" };
+  }
+  if (text.length > 5000) {
+    return { error: "Comments can be at most 5000 characters" };
+  }
+
+  if (!body.parentId) {
+    return { body: text, parentId: undefined };
+  }
+  const parent = mongoose.isValidObjectId(body.parentId)
+    ? await Comment.findOne({ _id: body.parentId, taskId: task._id })
+    : null;
+  if (!parent) {
+    return { error: "Comment not found" };
+  }
+  // Replies to a reply join the thread of its top-level comment
+  return { body: text, parentId: parent.parentId || parent._id };
+}
+
+// Load a comment of req.task written by the caller into req.comment (only authors edit or delete comments)
+async function loadOwnComment(req, res, next) {
+  const isApi = req.originalUrl.startsWith("/api/");
+  try {
+    const comment = mongoose.isValidObjectId(req.params.commentId)
+      ? await Comment.findOne({ _id: req.params.commentId, taskId: req.task._id, deletedAt: null })
+      : null;
+    if (!comment || comment.userId.toString() !== req.user.id) {
+      const message = comment ? "You can only change your own comments" : "Comment not found";
+      const status = comment ? 403 : 404;
+      return isApi
+        ? res.status(status).json({ error: message })
+        : res.redirect(`/tasks/${req.task._id}?error=` + encodeURIComponent(message));
+    }
+    req.comment = comment;
+    next();
+  } catch (err) {
+    console.error("Load comment error:", err);
+    isApi ? res.status(500).json({ error: "Failed to load comment" }) : res.redirect(`/tasks/${req.task._id}`);
+  }
+}
+
+// Delete a comment. One that still has replies is kept as a placeholder so the thread stays readable.
+async function deleteComment(comment) {
+  const hasReplies = await Comment.exists({ parentId: comment._id, deletedAt: null });
+  if (hasReplies) {
+    comment.body = "";
+    comment.deletedAt = new Date();
+    await comment.save();
+  } else {
+    await comment.deleteOne();
+  }
+}
+
+// Load an attachment of req.task into req.attachment
+async function loadAttachment(req, res, next) {
+  const attachment = mongoose.isValidObjectId(req.params.attachmentId)
+    ? await Attachment.findOne({ _id: req.params.attachmentId, taskId: req.task._id }).catch(() => null)
+    : null;
+  if (!attachment) {
+    return req.originalUrl.startsWith("/api/")
+      ? res.status(404).json({ error: "Attachment not found" })
+      : res.redirect(`/tasks/${req.task._id}?error=` + encodeURIComponent("Attachment not found"));
+  }
+  req.attachment = attachment;
+  next();
+}
+
+// The uploader and the list owner may remove an attachment
+function canRemoveAttachment(req, attachment) {
+  return attachment.userId.toString() === req.user.id || req.taskRole === "owner";
+}
+
+// ====== Routes: Task Detail, Comments and Attachments ======
+// Registered after /tasks/import so that path is not taken for a task id.
+
+// Task detail page with comments and attachments
+app.get("/tasks/:id", isLoggedIn, loadTask("viewer"), async (req, res) => {
+  try {
+    const task = await Task.findById(req.task._id)
+      .populate("assigneeId", "username displayName")
+      .populate("tagIds", "name color")
+      .populate("projectId", "name")
+      .populate("blockedByIds", "title status");
+    // Tasks waiting for this one, and the tasks of the same list it could be made to wait for
+    const dependents = await Task.find({ blockedByIds: task._id }, "title status");
+    const candidates = await Task.find(
+      {
+        _id: { $nin: [task._id, ...task.blockedByIds.map((blocker) => blocker._id)] },
+        ...(task.projectId ? { projectId: task.projectId._id } : { projectId: null, userId: task.userId })
+      },
+      "title status"
+    ).sort({ order: 1, deadline: 1 });
+    const comments = await Comment.find({ taskId: task._id }).sort({ createdAt: 1 }).populate("userId", "username displayName");
+    const attachments = await Attachment.find({ taskId: task._id }).sort({ createdAt: 1 }).populate("userId", "username displayName");
+    const timeEntries = await TimeEntry.find({ taskId: task._id }).sort({ startedAt: -1 }).populate("userId", "username displayName");
+    const runningTimer = await TimeEntry.findOne({ userId: req.user.id, endedAt: null });
     const error = req.query.error ? decodeURIComponent(req.query.error) : null;
     const success = req.query.success ? decodeURIComponent(req.query.success) : null;
-    res.render("dashboard", { tasks, error, success });
+    res.render("task", {
+      task,
+      dependents,
+      dependencyCandidates: candidates,
+      threads: buildCommentThreads(comments),
+      attachments,
+      timeEntries,
+      trackedMinutes: timeEntries.reduce((sum, entry) => sum + entry.minutes, 0),
+      timerRunningHere: Boolean(runningTimer && runningTimer.taskId.equals(task._id)),
+      canEdit: Project.hasRole(req.taskRole, "editor"),
+      isOwner: req.taskRole === "owner",
+      attachmentMaxMb: ATTACHMENT_MAX_MB,
+      attachmentExtensions: ATTACHMENT_EXTENSIONS,
+      error,
+      success
+    });
+  } catch (err) {
+    console.error("Task detail page error:", err);
+    res.status(500).send("Error loading task");
+  }
+});
+
+app.post("/tasks/:id/comments", isLoggedIn, loadTask("editor"), async (req, res) => {
+  const taskUrl = `/tasks/${req.task._id}`;
+  try {
+    const input = await parseCommentInput(req.task, req.body);
+    if (input.error) {
+      return res.redirect(taskUrl + "?error=" + encodeURIComponent(input.error));
+    }
+    await Comment.create({ taskId: req.task._id, userId: req.user.id, ...input });
+    res.redirect(taskUrl + "?success=" + encodeURIComponent("Comment added"));
+  } catch (err) {
+    console.error("Add comment error:", err);
+    res.redirect(taskUrl + "?error=" + encodeURIComponent("Failed to add comment. Please try again."));
+  }
+});
+
+app.post("/tasks/:id/comments/:commentId/edit", isLoggedIn, loadTask("editor"), loadOwnComment, async (req, res) => {
+  const taskUrl = `/tasks/${req.task._id}`;
+  const body = req.body.body ? req.body.body.toString().trim() : "";
+  if (!body || body.length > 5000) {
+    return res.redirect(taskUrl + "?error=" + encodeURIComponent("Comments must have 1 to 5000 characters"));
+  }
+  try {
+    req.comment.body = body;
+    req.comment.editedAt = new Date();
+    await req.comment.save();
+    res.redirect(taskUrl + "?success=" + encodeURIComponent("Comment updated"));
+  } catch (err) {
+    console.error("Edit comment error:", err);
+    res.redirect(taskUrl + "?error=" + encodeURIComponent("Failed to update comment. Please try again."));
+  }
+});
+
+app.post("/tasks/:id/comments/:commentId/delete", isLoggedIn, loadTask("editor"), loadOwnComment, async (req, res) => {
+  const taskUrl = `/tasks/${req.task._id}`;
+  try {
+    await deleteComment(req.comment);
+    res.redirect(taskUrl + "?success=" + encodeURIComponent("Comment deleted"));
+  } catch (err) {
+    console.error("Delete comment error:", err);
+    res.redirect(taskUrl + "?error=" + encodeURIComponent("Failed to delete comment. Please try again."));
+  }
+});
+
+app.post("/tasks/:id/attachments", isLoggedIn, loadTask("editor"), uploadAttachment, async (req, res) => {
+  const taskUrl = `/tasks/${req.task._id}`;
+  if (!req.file) {
+    return res.redirect(taskUrl + "?error=" + encodeURIComponent("Please choose a file to attach"));
+  }
+  try {
+    await saveAttachment(req.task, req.user.id, req.file);
+    res.redirect(taskUrl + "?success=" + encodeURIComponent(`Attached ${req.file.originalname}`));
+  } catch (err) {
+    console.error("Upload attachment error:", err);
+    res.redirect(taskUrl + "?error=" + encodeURIComponent("Failed to save the file. Please try again."));
+  }
+});
+
+app.get("/tasks/:id/attachments/:attachmentId", isLoggedIn, loadTask("viewer"), loadAttachment, (req, res) => {
+  sendAttachment(res, req.attachment);
+});
+
+app.post("/tasks/:id/attachments/:attachmentId/delete", isLoggedIn, loadTask("editor"), loadAttachment, async (req, res) => {
+  const taskUrl = `/tasks/${req.task._id}`;
+  if (!canRemoveAttachment(req, req.attachment)) {
+    return res.redirect(taskUrl + "?error=" + encodeURIComponent("Only the uploader or the owner can remove this file"));
+  }
+  try {
+    await removeAttachmentFile(req.attachment);
+    await req.attachment.deleteOne();
+    res.redirect(taskUrl + "?success=" + encodeURIComponent(`Removed ${req.attachment.fileName}`));
+  } catch (err) {
+    console.error("Delete attachment error:", err);
+    res.redirect(taskUrl + "?error=" + encodeURIComponent("Failed to remove the file. Please try again."));
+  }
+});
+
+// ====== RESTful API Endpoint for a Single Task ======
+// Registered after /api/tasks/export so that path is not taken for a task id.
+
+// GET /api/tasks/:id - one task with its assignee and tags filled in (used by the dashboard's task modal)
+app.get("/api/tasks/:id", isLoggedIn, loadTask("viewer"), async (req, res) => {
+  try {
+    const task = await Task.findById(req.task._id)
+      .populate("assigneeId", "username displayName")
+      .populate("tagIds", "name color userId");
+    res.json(task);
+  } catch (err) {
+    console.error("API get task error:", err);
+    res.status(500).json({ error: "Failed to fetch task" });
+  }
+});
+
+// ====== RESTful API Endpoints for Comments and Attachments ======
+
+// GET /api/tasks/:id/comments - every comment of the task, oldest first (replies have a parentId)
+app.get("/api/tasks/:id/comments", isLoggedIn, loadTask("viewer"), async (req, res) => {
+  try {
+    const comments = await Comment.find({ taskId: req.task._id }).sort({ createdAt: 1 }).populate("userId", "username displayName");
+    res.json(comments);
+  } catch (err) {
+    console.error("API get comments error:", err);
+    res.status(500).json({ error: "Failed to fetch comments" });
+  }
+});
+
+// POST /api/tasks/:id/comments - add a comment ({ "body": "...", "parentId": optional comment to reply to })
+app.post("/api/tasks/:id/comments", isLoggedIn, requireWriteAccess, loadTask("editor"), async (req, res) => {
+  try {
+    const input = await parseCommentInput(req.task, req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+    const comment = await Comment.create({ taskId: req.task._id, userId: req.user.id, ...input });
+    res.status(201).json(comment);
+  } catch (err) {
+    console.error("API add comment error:", err);
+    res.status(500).json({ error: "Failed to add comment" });
+  }
+});
+
+// PUT /api/tasks/:id/comments/:commentId - edit your own comment
+app.put("/api/tasks/:id/comments/:commentId", isLoggedIn, requireWriteAccess, loadTask("editor"), loadOwnComment, async (req, res) => {
+  const body = req.body.body ? req.body.body.toString().trim() : "";
+  if (!body || body.length > 5000) {
+    return res.status(400).json({ error: "Comments must have 1 to 5000 characters" });
+  }
+  try {
+    req.comment.body = body;
+    req.comment.editedAt = new Date();
+    await req.comment.save();
+    res.json(req.comment);
+  } catch (err) {
+    console.error("API edit comment error:", err);
+    res.status(500).json({ error: "Failed to update comment" });
+  }
+});
+
+// DELETE /api/tasks/:id/comments/:commentId - delete your own comment
+app.delete("/api/tasks/:id/comments/:commentId", isLoggedIn, requireWriteAccess, loadTask("editor"), loadOwnComment, async (req, res) => {
+  try {
+    await deleteComment(req.comment);
+    res.json({ message: "Comment deleted" });
+  } catch (err) {
+    console.error("API delete comment error:", err);
+    res.status(500).json({ error: "Failed to delete comment" });
+  }
+});
+
+// GET /api/tasks/:id/attachments - list the task's attachments
+app.get("/api/tasks/:id/attachments", isLoggedIn, loadTask("viewer"), async (req, res) => {
+  try {
+    const attachments = await Attachment.find({ taskId: req.task._id }).sort({ createdAt: 1 }).populate("userId", "username displayName");
+    res.json(attachments);
+  } catch (err) {
+    console.error("API get attachments error:", err);
+    res.status(500).json({ error: "Failed to fetch attachments" });
+  }
+});
+
+// POST /api/tasks/:id/attachments - upload a file as multipart/form-data in the "file" field
+app.post("/api/tasks/:id/attachments", isLoggedIn, requireWriteAccess, loadTask("editor"), uploadAttachment, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "Send the file as multipart/form-data in the \"file\" field" });
+  }
+  try {
+    res.status(201).json(await saveAttachment(req.task, req.user.id, req.file));
+  } catch (err) {
+    console.error("API upload attachment error:", err);
+    res.status(500).json({ error: "Failed to save the file" });
+  }
+});
+
+// GET /api/tasks/:id/attachments/:attachmentId - download the file
+app.get("/api/tasks/:id/attachments/:attachmentId", isLoggedIn, loadTask("viewer"), loadAttachment, (req, res) => {
+  sendAttachment(res, req.attachment);
+});
+
+// DELETE /api/tasks/:id/attachments/:attachmentId - remove a file (uploader or list owner)
+app.delete("/api/tasks/:id/attachments/:attachmentId", isLoggedIn, requireWriteAccess, loadTask("editor"), loadAttachment, async (req, res) => {
+  if (!canRemoveAttachment(req, req.attachment)) {
+    return res.status(403).json({ error: "Only the uploader or the owner can remove this file" });
+  }
+  try {
+    await removeAttachmentFile(req.attachment);
+    await req.attachment.deleteOne();
+    res.json({ message: "Attachment removed" });
+  } catch (err) {
+    console.error("API delete attachment error:", err);
+    res.status(500).json({ error: "Failed to remove the file" });
+  }
+});
+
+// ====== Dependency Helpers ======
+// A task can be blocked by other tasks of the same list (Task.blockedByIds): it cannot be marked
+// done while any of them is still pending. Tasks in the trash never block.
+
+const DEPENDENCY_GRAPH_LIMIT = 500;
+
+// Tasks from task.blockedByIds that are not done yet
+async function pendingBlockers(task) {
+  if (!task.blockedByIds || task.blockedByIds.length === 0) {
+    return [];
+  }
+  return Task.find({ _id: { $in: task.blockedByIds }, status: { $ne: "done" } }, "title status deadline");
+}
+
+// Error message for a task that cannot be completed yet, or null when nothing blocks it
+async function blockedMessage(task) {
+  const blockers = await pendingBlockers(task);
+  if (blockers.length === 0) {
+    return null;
+  }
+  const titles = blockers.map((blocker) => `"${blocker.title}"`).join(", ");
+  return `"${task.title}" is blocked by ${titles}. Finish ${blockers.length === 1 ? "it" : "them"} first.`;
+}
+
+// Every change that can take a task from pending to done goes through here, so a blocked task is
+// never completed and a completed occurrence of a recurring task always schedules the next one.
+// "change" makes the change and resolves to the updated task (null when it is gone); it does not run
+// when "completes" is true and the task is blocked. Returns { task, nextTask } or { error, status }.
+async function applyTaskChange(task, completes, change) {
+  if (completes && task.status !== "done") {
+    const blocked = await blockedMessage(task);
+    if (blocked) {
+      return { error: blocked, status: 409 };
+    }
+  }
+  const updated = await change();
+  if (!updated) {
+    return { error: "Task not found", status: 404 };
+  }
+  const nextTask = updated.status === "done" ? await updated.createNextOccurrence() : null;
+  return { task: updated, nextTask };
+}
+
+// Ids (as strings) of the given tasks that have at least one pending blocker
+async function findBlockedTaskIds(tasks) {
+  const blockerIds = tasks.flatMap((task) => task.blockedByIds || []);
+  if (blockerIds.length === 0) {
+    return new Set();
+  }
+  const pending = await Task.find({ _id: { $in: blockerIds }, status: { $ne: "done" } }, "_id");
+  const pendingIds = new Set(pending.map((blocker) => blocker._id.toString()));
+  return new Set(
+    tasks
+      .filter((task) => (task.blockedByIds || []).some((blockerId) => pendingIds.has(blockerId.toString())))
+      .map((task) => task._id.toString())
+  );
+}
+
+// True when "blocker" (directly or through its own blockers) already waits for "task",
+// so making task wait for blocker would close a loop. Trashed tasks are followed too,
+// so restoring one cannot bring back a cycle.
+async function createsDependencyCycle(task, blocker) {
+  const target = task._id.toString();
+  const seen = new Set();
+  let frontier = [blocker._id];
+  while (frontier.length > 0) {
+    const ids = frontier.map((id) => id.toString());
+    if (ids.includes(target)) {
+      return true;
+    }
+    ids.forEach((id) => seen.add(id));
+    const tasks = await Task.find({ _id: { $in: frontier } }, "blockedByIds").setOptions({ withDeleted: true });
+    frontier = tasks.flatMap((item) => item.blockedByIds).filter((id) => !seen.has(id.toString()));
+  }
+  return false;
+}
+
+// Make req.task wait for the task with id blockerId. Returns the updated task or { error, status }.
+async function addTaskDependency(userId, task, blockerId) {
+  const blocker = mongoose.isValidObjectId(blockerId) ? await Task.findById(blockerId) : null;
+  if (!blocker) {
+    return { error: "Blocking task not found", status: 404 };
+  }
+  const sameList = task.projectId
+    ? blocker.projectId && blocker.projectId.equals(task.projectId)
+    : !blocker.projectId && blocker.userId && blocker.userId.equals(task.userId);
+  if (!sameList) {
+    return { error: "A task can only depend on tasks in the same list", status: 400 };
+  }
+  if (blocker._id.equals(task._id)) {
+    return { error: "A task cannot depend on itself", status: 400 };
+  }
+  if (task.blockedByIds.some((id) => id.equals(blocker._id))) {
+    return { error: `"${task.title}" already depends on "${blocker.title}"`, status: 400 };
+  }
+  if (await createsDependencyCycle(task, blocker)) {
+    return { error: `"${blocker.title}" already depends on "${task.title}", so this would create a cycle`, status: 400 };
+  }
+
+  const before = taskSnapshot(task);
+  task.blockedByIds.push(blocker._id);
+  await task.save();
+  await recordActivity(taskActivity(userId, "update", task, before));
+  return task;
+}
+
+// Stop req.task from waiting for the task with id blockerId
+async function removeTaskDependency(userId, task, blockerId) {
+  if (!task.blockedByIds.some((id) => id.toString() === blockerId)) {
+    return { error: "Dependency not found", status: 404 };
+  }
+  const before = taskSnapshot(task);
+  task.blockedByIds = task.blockedByIds.filter((id) => id.toString() !== blockerId);
+  await task.save();
+  await recordActivity(taskActivity(userId, "update", task, before));
+  return task;
+}
+
+// Drop links to tasks that are deleted permanently
+async function removeDependencyLinks(taskIds) {
+  await Task.updateMany({ blockedByIds: { $in: taskIds } }, { $pull: { blockedByIds: { $in: taskIds } } });
+}
+
+// Every task connected to "task" through dependencies, in both directions, up to DEPENDENCY_GRAPH_LIMIT tasks.
+// Returns { nodes, edges, truncated } where each edge { from, to } means "to" is blocked by "from",
+// and "truncated" is true when the limit was reached and the graph may be incomplete.
+async function buildDependencyGraph(task) {
+  const nodes = new Map([[task._id.toString(), task]]);
+  let frontier = [task];
+  let truncated = false;
+  while (frontier.length > 0) {
+    const remaining = DEPENDENCY_GRAPH_LIMIT - nodes.size;
+    if (remaining <= 0) {
+      truncated = true;
+      break;
+    }
+    // Tasks already in the graph are left out, and one more than fits is loaded to tell whether there are more
+    const known = [...nodes.values()].map((item) => item._id);
+    const [blockers, dependents] = await Promise.all([
+      Task.find({ _id: { $in: frontier.flatMap((item) => item.blockedByIds), $nin: known } }).limit(remaining + 1),
+      Task.find({ _id: { $nin: known }, blockedByIds: { $in: frontier.map((item) => item._id) } }).limit(remaining + 1)
+    ]);
+    const found = new Map([...blockers, ...dependents].map((item) => [item._id.toString(), item]));
+    if (found.size > remaining) {
+      truncated = true;
+    }
+    frontier = [...found.values()].slice(0, remaining);
+    frontier.forEach((item) => nodes.set(item._id.toString(), item));
+  }
+
+  const tasks = [...nodes.values()];
+  const blockedIds = await findBlockedTaskIds(tasks);
+  const edges = [];
+  tasks.forEach((item) => {
+    item.blockedByIds
+      .filter((blockerId) => nodes.has(blockerId.toString()))
+      .forEach((blockerId) => edges.push({ from: blockerId.toString(), to: item._id.toString() }));
+  });
+  return {
+    taskId: task._id,
+    nodes: tasks.map((item) => ({
+      _id: item._id,
+      title: item.title,
+      status: item.status,
+      deadline: item.deadline,
+      blocked: blockedIds.has(item._id.toString())
+    })),
+    edges,
+    truncated
+  };
+}
+
+// ====== Routes: Task Dependencies ======
+
+app.post("/tasks/:id/dependencies", isLoggedIn, loadTask("editor"), async (req, res) => {
+  const taskUrl = `/tasks/${req.task._id}`;
+  try {
+    const result = await addTaskDependency(req.user.id, req.task, req.body.blockerId);
+    if (result.error) {
+      return res.redirect(taskUrl + "?error=" + encodeURIComponent(result.error));
+    }
+    res.redirect(taskUrl + "?success=" + encodeURIComponent("Dependency added"));
+  } catch (err) {
+    console.error("Add dependency error:", err);
+    res.redirect(taskUrl + "?error=" + encodeURIComponent("Failed to add dependency. Please try again."));
+  }
+});
+
+app.post("/tasks/:id/dependencies/:blockerId/remove", isLoggedIn, loadTask("editor"), async (req, res) => {
+  const taskUrl = `/tasks/${req.task._id}`;
+  try {
+    const result = await removeTaskDependency(req.user.id, req.task, req.params.blockerId);
+    if (result.error) {
+      return res.redirect(taskUrl + "?error=" + encodeURIComponent(result.error));
+    }
+    res.redirect(taskUrl + "?success=" + encodeURIComponent("Dependency removed"));
+  } catch (err) {
+    console.error("Remove dependency error:", err);
+    res.redirect(taskUrl + "?error=" + encodeURIComponent("Failed to remove dependency. Please try again."));
+  }
+});
+
+// ====== RESTful API Endpoints for Task Dependencies ======
+
+// GET /api/tasks/:id/dependencies - the dependency graph around a task (blockers and dependents, transitively)
+app.get("/api/tasks/:id/dependencies", isLoggedIn, loadTask("viewer"), async (req, res) => {
+  try {
+    res.json(await buildDependencyGraph(req.task));
+  } catch (err) {
+    console.error("API dependency graph error:", err);
+    res.status(500).json({ error: "Failed to load dependencies" });
+  }
+});
+
+// POST /api/tasks/:id/dependencies - make the task wait for another one ({ "blockerId": "<TaskID>" })
+app.post("/api/tasks/:id/dependencies", isLoggedIn, requireWriteAccess, loadTask("editor"), async (req, res) => {
+  try {
+    const result = await addTaskDependency(req.user.id, req.task, req.body.blockerId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json(result);
+  } catch (err) {
+    console.error("API add dependency error:", err);
+    res.status(500).json({ error: "Failed to add dependency" });
+  }
+});
+
+// DELETE /api/tasks/:id/dependencies/:blockerId - remove a dependency
+app.delete("/api/tasks/:id/dependencies/:blockerId", isLoggedIn, requireWriteAccess, loadTask("editor"), async (req, res) => {
+  try {
+    const result = await removeTaskDependency(req.user.id, req.task, req.params.blockerId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error("API remove dependency error:", err);
+    res.status(500).json({ error: "Failed to remove dependency" });
+  }
+});
+
+// ====== Time Tracking Helpers ======
+// Time spent on tasks is stored as TimeEntry documents (see Models/TimeEntry.js), either from the
+// start/stop timer or entered by hand. Days and weeks in totals and reports are UTC calendar days,
+// like task deadlines; weeks start on Monday.
+
+const TIME_REPORT_MAX_DAYS = 366;
+const TIME_REPORT_CSV_FIELDS = ["date", "startedAt", "endedAt", "minutes", "hours", "task", "user", "note"];
+
+// "1h 05m" / "45m"
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return hours > 0 ? `${hours}h ${String(rest).padStart(2, "0")}m` : `${rest}m`;
+}
+app.locals.formatDuration = formatDuration;
+
+// Total tracked minutes per task id (running timers count up to now)
+async function timeTotalsByTask(taskIds) {
+  if (taskIds.length === 0) {
+    return new Map();
+  }
+  const rows = await TimeEntry.aggregate([
+    { $match: { taskId: { $in: taskIds.map((id) => new mongoose.Types.ObjectId(id)) } } },
+    {
+      $group: {
+        _id: "$taskId",
+        ms: { $sum: { $subtract: [{ $ifNull: ["$endedAt", new Date()] }, "$startedAt"] } }
+      }
+    }
+  ]);
+  return new Map(rows.map((row) => [row._id.toString(), Math.round(row.ms / 60000)]));
+}
+
+function findRunningTimer(userId) {
+  return TimeEntry.findOne({ userId, endedAt: null }).populate("taskId", "title");
+}
+
+// Stop the user's running timer. Returns the stopped entry, or null if none was running.
+function stopTimer(userId) {
+  return TimeEntry.findOneAndUpdate({ userId, endedAt: null }, { endedAt: new Date() }, { new: true });
+}
+
+// Start a timer on a task, stopping the one already running (a user has one timer at a time).
+// Returns { entry, stopped }, or { error, status } when another request keeps starting a timer.
+async function startTimer(userId, task) {
+  // Two requests starting a timer at once can both stop the old one; the unique index lets only one
+  // create its entry, and the other stops that timer and tries once more
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const stopped = await stopTimer(userId);
+    try {
+      const entry = await TimeEntry.create({
+        taskId: task._id,
+        taskTitle: task.title,
+        projectId: task.projectId || undefined,
+        userId,
+        startedAt: new Date()
+      });
+      return { entry, stopped };
+    } catch (err) {
+      if (err.code !== 11000) {
+        throw err;
+      }
+    }
+  }
+  return { error: "A timer is already running", status: 409 };
+}
+
+// Date-times without a time zone (as sent by datetime-local inputs) are read as UTC
+function parseUtcDateTime(value) {
+  const text = value.toString();
+  return new Date(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(text) ? text + "Z" : text);
+}
+
+// Validate a time entry from the form or the API: startedAt plus endedAt or a length in minutes,
+// and an optional note. "entry" is the entry being edited, whose values are kept when not sent.
+// Returns { startedAt, endedAt, note } or { error }.
+function parseTimeEntryInput(body, entry) {
+  const startedAt = body.startedAt ? parseUtcDateTime(body.startedAt) : entry && entry.startedAt;
+  if (!startedAt || isNaN(startedAt.getTime())) {
+    return { error: "Start time is not a valid date" };
+  }
+
+  let endedAt = entry ? entry.endedAt : null;
+  if (body.endedAt) {
+    endedAt = parseUtcDateTime(body.endedAt);
+    if (isNaN(endedAt.getTime())) {
+      return { error: "End time is not a valid date" };
+    }
+  } else if (body.minutes !== undefined && body.minutes !== "") {
+    const minutes = Number(body.minutes);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      return { error: "Minutes must be a number greater than 0" };
+    }
+    endedAt = new Date(startedAt.getTime() + Math.round(minutes) * 60000);
+  } else if (!entry) {
+    return { error: "Enter an end time or the number of minutes" };
+  }
+
+  if (endedAt && endedAt <= startedAt) {
+    return { error: "The end time must be after the start time" };
+  }
+  if (endedAt && endedAt - startedAt > DAY_MS) {
+    return { error: "A time entry can be at most 24 hours long" };
+  }
+
+  const note = body.note !== undefined ? body.note.toString().trim() : entry ? entry.note : "";
+  if (note.length > 500) {
+    return { error: "Notes can be at most 500 characters" };
+  }
+  return { startedAt, endedAt, note };
+}
+
+// Load one of the caller's own time entries into req.timeEntry
+async function loadOwnTimeEntry(req, res, next) {
+  const isApi = req.originalUrl.startsWith("/api/");
+  try {
+    const entry = mongoose.isValidObjectId(req.params.entryId)
+      ? await TimeEntry.findOne({ _id: req.params.entryId, userId: req.user.id })
+      : null;
+    if (!entry) {
+      return isApi
+        ? res.status(404).json({ error: "Time entry not found" })
+        : res.redirect(timeReturnPath(req) + "?error=" + encodeURIComponent("Time entry not found"));
+    }
+    req.timeEntry = entry;
+    next();
+  } catch (err) {
+    console.error("Load time entry error:", err);
+    isApi ? res.status(500).json({ error: "Failed to load time entry" }) : res.redirect(timeReturnPath(req));
+  }
+}
+
+// Page a timer or time entry form goes back to: its "returnTo" field when it is one of ours, else the dashboard
+function timeReturnPath(req) {
+  const returnTo = req.body && req.body.returnTo ? req.body.returnTo.toString() : "";
+  return /^\/(dashboard|time|tasks\/[a-f0-9]{24})$/.test(returnTo) ? returnTo : "/dashboard";
+}
+
+// Time entries between two dates with totals per day, week and task.
+// Personal reports show the caller's own entries; ?projectId= covers every member's time on the
+// project (narrowed with ?userId=, "me" for the caller). Returns the report or { error, status }.
+async function buildTimeReport(userId, query) {
+  const to = query.to ? new Date(query.to) : todayDate();
+  const from = query.from ? new Date(query.from) : weekStart(to);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: "from and to must be dates (YYYY-MM-DD)", status: 400 };
+  }
+  if (to < from || (to - from) / DAY_MS > TIME_REPORT_MAX_DAYS) {
+    return { error: `The report must cover 1 to ${TIME_REPORT_MAX_DAYS} days`, status: 400 };
+  }
+
+  const filter = { startedAt: { $gte: from, $lt: new Date(to.getTime() + DAY_MS) } };
+  if (query.projectId) {
+    const project = mongoose.isValidObjectId(query.projectId) ? await Project.findById(query.projectId) : null;
+    if (!project || !project.roleOf(userId)) {
+      return { error: "Project not found", status: 404 };
+    }
+    filter.projectId = project._id;
+    if (query.userId) {
+      const memberId = query.userId === "me" ? userId : query.userId;
+      if (!mongoose.isValidObjectId(memberId)) {
+        return { error: "userId is not a valid user id", status: 400 };
+      }
+      filter.userId = memberId;
+    }
+  } else {
+    filter.userId = userId;
+  }
+
+  const entries = await TimeEntry.find(filter)
+    .sort({ startedAt: 1 })
+    .populate("taskId", "title")
+    .populate("userId", "username displayName");
+
+  const byDay = new Map();
+  const byWeek = new Map();
+  const byTask = new Map();
+  let total = 0;
+  entries.forEach((entry) => {
+    const minutes = entry.minutes;
+    const day = entry.startedAt.toISOString().slice(0, 10);
+    const week = weekStart(entry.startedAt).toISOString().slice(0, 10);
+    const taskKey = (entry.populated("taskId") || entry.taskId).toString();
+    total += minutes;
+    byDay.set(day, (byDay.get(day) || 0) + minutes);
+    byWeek.set(week, (byWeek.get(week) || 0) + minutes);
+    const task = byTask.get(taskKey) || { taskId: taskKey, title: timeEntryTaskTitle(entry), minutes: 0 };
+    task.minutes += minutes;
+    byTask.set(taskKey, task);
+  });
+
+  return {
+    from: from.toISOString().slice(0, 10),
+    to: to.toISOString().slice(0, 10),
+    projectId: filter.projectId || null,
+    entries,
+    totals: {
+      minutes: total,
+      byDay: [...byDay].map(([date, minutes]) => ({ date, minutes })),
+      byWeek: [...byWeek].map(([week, minutes]) => ({ week, minutes })),
+      byTask: [...byTask.values()].sort((a, b) => b.minutes - a.minutes)
+    }
+  };
+}
+
+// Current title of an entry's task, or the title saved with the entry once the task is deleted
+function timeEntryTaskTitle(entry) {
+  return entry.taskId && entry.taskId.title ? entry.taskId.title : entry.taskTitle || "(deleted task)";
+}
+
+function timeReportToCsv(entries) {
+  const lines = entries.map((entry) => {
+    const user = entry.userId ? entry.userId.displayName || entry.userId.username : "";
+    const values = [
+      entry.startedAt.toISOString().slice(0, 10),
+      entry.startedAt,
+      entry.endedAt,
+      entry.minutes,
+      (entry.minutes / 60).toFixed(2),
+      timeEntryTaskTitle(entry),
+      user,
+      entry.note
+    ];
+    return values.map(formatCsvValue).join(",");
+  });
+  return [TIME_REPORT_CSV_FIELDS.join(","), ...lines].join("\r\n") + "\r\n";
+}
+
+// ====== Routes: Time Tracking ======
+
+app.post("/tasks/:id/timer/start", isLoggedIn, loadTask("editor"), async (req, res) => {
+  const returnPath = timeReturnPath(req);
+  try {
+    const { stopped, error } = await startTimer(req.user.id, req.task);
+    if (error) {
+      return res.redirect(returnPath + "?error=" + encodeURIComponent(error));
+    }
+    const message = stopped
+      ? `Timer started on "${req.task.title}" (stopped the timer on "${stopped.taskTitle}")`
+      : `Timer started on "${req.task.title}"`;
+    res.redirect(returnPath + "?success=" + encodeURIComponent(message));
   } catch (err) {
-    console.error("Dashboard error:", err);
-    res.status(500).send("Error loading dashboard");
+    console.error("Start timer error:", err);
+    res.redirect(returnPath + "?error=" + encodeURIComponent("Failed to start the timer. Please try again."));
   }
 });
 
-// ====== Routes: Task CRUD (form-based) ======
+app.post("/timer/stop", isLoggedIn, async (req, res) => {
+  const returnPath = timeReturnPath(req);
+  try {
+    const entry = await stopTimer(req.user.id);
+    if (!entry) {
+      return res.redirect(returnPath + "?error=" + encodeURIComponent("No timer is running"));
+    }
+    res.redirect(returnPath + "?success=" + encodeURIComponent(`Timer stopped: ${formatDuration(entry.minutes)} on "${entry.taskTitle}"`));
+  } catch (err) {
+    console.error("Stop timer error:", err);
+    res.redirect(returnPath + "?error=" + encodeURIComponent("Failed to stop the timer. Please try again."));
+  }
+});
 
-// Create a new task from a form on the dashboard
-app.post("/tasks", async (req, res) => {
-  const { title, description, priority, deadline } = req.body;
+// Add time by hand from the task page
+app.post("/tasks/:id/time", isLoggedIn, loadTask("editor"), async (req, res) => {
+  const taskUrl = `/tasks/${req.task._id}`;
+  const input = parseTimeEntryInput(req.body, null);
+  if (input.error) {
+    return res.redirect(taskUrl + "?error=" + encodeURIComponent(input.error));
+  }
   try {
-    await Task.create({
-      title: (title || "Untitled Task").toString(),
-      description: description ? description.toString() : "",
-      priority: priority ? priority.toString() : "medium",
-      deadline: deadline ? new Date(deadline) : undefined,
+    await TimeEntry.create({
+      ...input,
+      taskId: req.task._id,
+      taskTitle: req.task.title,
+      projectId: req.task.projectId || undefined,
       userId: req.user.id
     });
-    res.redirect("/dashboard?success=" + encodeURIComponent("Task created successfully!"));
+    res.redirect(taskUrl + "?success=" + encodeURIComponent("Time added"));
   } catch (err) {
-    console.error("Create task error:", err);
-    res.status(500).redirect("/dashboard?error=" + encodeURIComponent("Failed to create task. Please try again."));
+    console.error("Add time entry error:", err);
+    res.redirect(taskUrl + "?error=" + encodeURIComponent("Failed to add time. Please try again."));
   }
 });
 
-// Update a task status or details (simple demo: mark done/pending)
-app.post("/tasks/:id/status", async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
+app.post("/time/:entryId/edit", isLoggedIn, loadOwnTimeEntry, async (req, res) => {
+  const returnPath = timeReturnPath(req);
+  const input = parseTimeEntryInput(req.body, req.timeEntry);
+  if (input.error) {
+    return res.redirect(returnPath + "?error=" + encodeURIComponent(input.error));
+  }
+  try {
+    req.timeEntry.set(input);
+    await req.timeEntry.save();
+    res.redirect(returnPath + "?success=" + encodeURIComponent("Time entry updated"));
+  } catch (err) {
+    console.error("Edit time entry error:", err);
+    res.redirect(returnPath + "?error=" + encodeURIComponent("Failed to update time entry. Please try again."));
+  }
+});
 
+app.post("/time/:entryId/delete", isLoggedIn, loadOwnTimeEntry, async (req, res) => {
+  const returnPath = timeReturnPath(req);
   try {
-    const task = await Task.findOneAndUpdate(
-      { _id: id, userId: req.user.id },
-      { status: status || "pending" },
-      { new: true }
-    );
-    if (!task) {
-      return res.redirect("/dashboard?error=" + encodeURIComponent("Task not found"));
+    await req.timeEntry.deleteOne();
+    res.redirect(returnPath + "?success=" + encodeURIComponent("Time entry deleted"));
+  } catch (err) {
+    console.error("Delete time entry error:", err);
+    res.redirect(returnPath + "?error=" + encodeURIComponent("Failed to delete time entry. Please try again."));
+  }
+});
+
+// Time report page: entries with totals per day, week and task (see GET /api/time/report)
+app.get("/time", isLoggedIn, async (req, res) => {
+  try {
+    const projects = await Project.find({ "members.userId": req.user.id }).sort({ name: 1 });
+    const report = await buildTimeReport(req.user.id, req.query);
+    const error = report.error || (req.query.error ? decodeURIComponent(req.query.error) : null);
+    const success = req.query.success ? decodeURIComponent(req.query.success) : null;
+    res.render("time", {
+      report: report.error ? null : report,
+      query: {
+        from: req.query.from || "",
+        to: req.query.to || "",
+        projectId: req.query.projectId || "",
+        userId: req.query.userId || ""
+      },
+      projects,
+      runningTimer: await findRunningTimer(req.user.id),
+      taskTitle: timeEntryTaskTitle,
+      error,
+      success
+    });
+  } catch (err) {
+    console.error("Time report page error:", err);
+    res.status(500).send("Error loading time report");
+  }
+});
+
+// ====== RESTful API Endpoints for Time Tracking ======
+
+// GET /api/time/running - the caller's running timer, or null
+app.get("/api/time/running", isLoggedIn, async (req, res) => {
+  try {
+    res.json(await findRunningTimer(req.user.id));
+  } catch (err) {
+    console.error("API running timer error:", err);
+    res.status(500).json({ error: "Failed to fetch timer" });
+  }
+});
+
+// POST /api/tasks/:id/time/start - start a timer on the task (stops the caller's running timer)
+app.post("/api/tasks/:id/time/start", isLoggedIn, requireWriteAccess, loadTask("editor"), async (req, res) => {
+  try {
+    const result = await startTimer(req.user.id, req.task);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
-    res.redirect("/dashboard?success=" + encodeURIComponent("Task status updated successfully!"));
+    res.status(201).json(result);
   } catch (err) {
-    console.error("Update task status error:", err);
-    res.status(500).redirect("/dashboard?error=" + encodeURIComponent("Failed to update task. Please try again."));
+    console.error("API start timer error:", err);
+    res.status(500).json({ error: "Failed to start the timer" });
   }
 });
 
-// Delete a task
-app.post("/tasks/:id/delete", async (req, res) => {
-  const { id } = req.params;
+// POST /api/time/stop - stop the caller's running timer
+app.post("/api/time/stop", isLoggedIn, requireWriteAccess, async (req, res) => {
   try {
-    const task = await Task.findOneAndDelete({ _id: id, userId: req.user.id });
-    if (!task) {
-      return res.redirect("/dashboard?error=" + encodeURIComponent("Task not found"));
+    const entry = await stopTimer(req.user.id);
+    if (!entry) {
+      return res.status(404).json({ error: "No timer is running" });
     }
-    res.redirect("/dashboard?success=" + encodeURIComponent("Task deleted successfully!"));
+    res.json(entry);
   } catch (err) {
-    console.error("Delete task error:", err);
-    res.status(500).redirect("/dashboard?error=" + encodeURIComponent("Failed to delete task. Please try again."));
+    console.error("API stop timer error:", err);
+    res.status(500).json({ error: "Failed to stop the timer" });
   }
 });
 
-// ====== RESTful API Endpoints for Tasks ======
-// These endpoints return/accept JSON instead of rendering pages.
+// GET /api/tasks/:id/time - every time entry on the task with the total and the estimate
+app.get("/api/tasks/:id/time", isLoggedIn, loadTask("viewer"), async (req, res) => {
+  try {
+    const entries = await TimeEntry.find({ taskId: req.task._id })
+      .sort({ startedAt: -1 })
+      .populate("userId", "username displayName");
+    res.json({
+      entries,
+      totalMinutes: entries.reduce((sum, entry) => sum + entry.minutes, 0),
+      estimateMinutes: req.task.estimateMinutes === undefined ? null : req.task.estimateMinutes
+    });
+  } catch (err) {
+    console.error("API get time entries error:", err);
+    res.status(500).json({ error: "Failed to fetch time entries" });
+  }
+});
 
-// GET /api/tasks - list all tasks (public API)
-app.get("/api/tasks", async (req, res) => {
+// POST /api/tasks/:id/time - add time by hand ({ "startedAt", "endedAt" or "minutes", "note" })
+app.post("/api/tasks/:id/time", isLoggedIn, requireWriteAccess, loadTask("editor"), async (req, res) => {
+  const input = parseTimeEntryInput(req.body, null);
+  if (input.error) {
+    return res.status(400).json({ error: input.error });
+  }
   try {
-    const tasks = await Task.find({}).sort({
-      order: 1,
-      deadline: 1
+    const entry = await TimeEntry.create({
+      ...input,
+      taskId: req.task._id,
+      taskTitle: req.task.title,
+      projectId: req.task.projectId || undefined,
+      userId: req.user.id
     });
-    res.json(tasks);
+    res.status(201).json(entry);
   } catch (err) {
-    console.error("API get tasks error:", err);
-    res.status(500).json({ error: "Failed to fetch tasks" });
+    console.error("API add time entry error:", err);
+    res.status(500).json({ error: "Failed to add time entry" });
   }
 });
 
-// POST /api/tasks/reorder - update task order after drag-and-drop (public API)
-app.post("/api/tasks/reorder", async (req, res) => {
-  const { taskIds } = req.body;
+// PUT /api/time/:entryId - change one of your time entries
+app.put("/api/time/:entryId", isLoggedIn, requireWriteAccess, loadOwnTimeEntry, async (req, res) => {
+  const input = parseTimeEntryInput(req.body, req.timeEntry);
+  if (input.error) {
+    return res.status(400).json({ error: input.error });
+  }
+  try {
+    req.timeEntry.set(input);
+    await req.timeEntry.save();
+    res.json(req.timeEntry);
+  } catch (err) {
+    console.error("API edit time entry error:", err);
+    res.status(500).json({ error: "Failed to update time entry" });
+  }
+});
 
-  if (!Array.isArray(taskIds)) {
-    return res.status(400).json({ error: "taskIds must be an array" });
+// DELETE /api/time/:entryId - delete one of your time entries
+app.delete("/api/time/:entryId", isLoggedIn, requireWriteAccess, loadOwnTimeEntry, async (req, res) => {
+  try {
+    await req.timeEntry.deleteOne();
+    res.json({ message: "Time entry deleted" });
+  } catch (err) {
+    console.error("API delete time entry error:", err);
+    res.status(500).json({ error: "Failed to delete time entry" });
   }
+});
 
+// GET /api/time/report?from=&to=&projectId=&userId=&format=csv|json - time report (defaults to this week, JSON)
+app.get("/api/time/report", isLoggedIn, async (req, res) => {
   try {
-    const tasks = await Task.find({
-      _id: { $in: taskIds }
-    });
+    const report = await buildTimeReport(req.user.id, req.query);
+    if (report.error) {
+      return res.status(report.status).json({ error: report.error });
+    }
+    if (req.query.format === "csv") {
+      res.set("Content-Disposition", `attachment; filename="time-${report.from}-to-${report.to}.csv"`);
+      return res.type("text/csv").send(timeReportToCsv(report.entries));
+    }
+    res.json(report);
+  } catch (err) {
+    console.error("API time report error:", err);
+    res.status(500).json({ error: "Failed to build time report" });
+  }
+});
 
-    if (tasks.length !== taskIds.length) {
-      return res.status(404).json({ error: "Some tasks not found" });
+// ====== Statistics Helpers ======
+// Productivity figures for a task list, computed with one aggregation over the Task collection.
+// Days are UTC calendar days, like deadlines. Tasks completed before completedAt was recorded
+// fall back to their last update time.
+
+const STATS_MAX_DAYS = 366;
+const STATS_DEFAULT_DAYS = 30;
+const STATS_WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Statistics for the caller's personal tasks or, with ?projectId=, a project they belong to,
+// between ?from= and ?to= (defaults to the last 30 days). Returns the statistics or { error, status }.
+async function buildTaskStats(userId, query) {
+  const to = query.to ? new Date(query.to) : todayDate();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - (STATS_DEFAULT_DAYS - 1) * DAY_MS);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: "from and to must be dates (YYYY-MM-DD)", status: 400 };
+  }
+  if (to < from || (to - from) / DAY_MS > STATS_MAX_DAYS) {
+    return { error: `Statistics must cover 1 to ${STATS_MAX_DAYS} days`, status: 400 };
+  }
+
+  const scope = await projectTaskFilter(userId, query.projectId, "viewer");
+  if (!scope) {
+    return { error: "Project not found", status: 404 };
+  }
+  // aggregate() skips the soft-delete hook and does not cast ids, so both are done here
+  const match = scope.projectId
+    ? { projectId: scope.projectId }
+    : { projectId: null, userId: new mongoose.Types.ObjectId(userId) };
+  match.deletedAt = null;
+
+  const end = new Date(to.getTime() + DAY_MS);
+  const now = new Date();
+  const inRange = { $gte: from, $lt: end };
+  const day = (field) => ({ $dateToString: { format: "%Y-%m-%d", date: field } });
+  const hasDeadline = { $eq: [{ $type: "$deadline" }, "date"] };
+  const isDone = { $eq: ["$status", "done"] };
+  const isOverdue = { $and: [{ $eq: ["$status", "pending"] }, hasDeadline, { $lt: ["$deadline", now] }] };
+
+  const [result] = await Task.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        doneAt: { $cond: [isDone, { $ifNull: ["$completedAt", "$updatedAt"] }, null] }
+      }
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              done: { $sum: { $cond: [isDone, 1, 0] } },
+              overdue: { $sum: { $cond: [isOverdue, 1, 0] } }
+            }
+          }
+        ],
+        completed: [
+          { $match: { doneAt: inRange } },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              avgMs: { $avg: { $subtract: ["$doneAt", "$createdAt"] } },
+              late: { $sum: { $cond: [{ $and: [hasDeadline, { $gt: ["$doneAt", "$deadline"] }] }, 1, 0] } }
+            }
+          }
+        ],
+        completedByDay: [{ $match: { doneAt: inRange } }, { $group: { _id: day("$doneAt"), count: { $sum: 1 } } }],
+        createdByDay: [{ $match: { createdAt: inRange } }, { $group: { _id: day("$createdAt"), count: { $sum: 1 } } }],
+        byWeekday: [{ $match: { doneAt: inRange } }, { $group: { _id: { $isoDayOfWeek: "$doneAt" }, count: { $sum: 1 } } }],
+        byPriority: [
+          {
+            $group: {
+              _id: "$priority",
+              total: { $sum: 1 },
+              done: { $sum: { $cond: [isDone, 1, 0] } },
+              overdue: { $sum: { $cond: [isOverdue, 1, 0] } }
+            }
+          }
+        ],
+        // Tasks still open when the period started, where the burndown begins
+        openAtStart: [
+          { $match: { createdAt: { $lt: from }, $or: [{ doneAt: null }, { doneAt: { $gte: from } }] } },
+          { $count: "count" }
+        ]
+      }
     }
+  ]);
 
-    const updatePromises = taskIds.map((taskId, index) => {
-      return Task.updateOne({ _id: taskId }, { order: index });
+  const counts = (rows) => new Map(rows.map((row) => [row._id, row.count]));
+  const completedByDay = counts(result.completedByDay);
+  const createdByDay = counts(result.createdByDay);
+  const byWeekday = counts(result.byWeekday);
+  const totals = result.totals[0] || { total: 0, done: 0, overdue: 0 };
+  const completed = result.completed[0] || { count: 0, avgMs: null, late: 0 };
+
+  // One row per day, with the tasks left open at the end of it
+  let open = result.openAtStart.length > 0 ? result.openAtStart[0].count : 0;
+  const days = [];
+  for (let date = from; date < end; date = new Date(date.getTime() + DAY_MS)) {
+    const key = date.toISOString().slice(0, 10);
+    const created = createdByDay.get(key) || 0;
+    const done = completedByDay.get(key) || 0;
+    open += created - done;
+    days.push({ date: key, created, completed: done, open });
+  }
+
+  return {
+    from: from.toISOString().slice(0, 10),
+    to: to.toISOString().slice(0, 10),
+    projectId: scope.projectId || null,
+    totals: {
+      tasks: totals.total,
+      done: totals.done,
+      pending: totals.total - totals.done,
+      overdue: totals.overdue
+    },
+    completed: {
+      count: completed.count,
+      late: completed.late,
+      averageHours: completed.avgMs === null ? null : Math.round((completed.avgMs / 3600000) * 10) / 10
+    },
+    days,
+    byWeekday: STATS_WEEKDAYS.map((name, index) => ({ day: name, completed: byWeekday.get(index + 1) || 0 })),
+    byPriority: ["high", "medium", "low"].map((priority) => {
+      const row = result.byPriority.find((item) => item._id === priority) || { total: 0, done: 0, overdue: 0 };
+      return { priority, total: row.total, done: row.done, pending: row.total - row.done, overdue: row.overdue };
+    })
+  };
+}
+
+// ====== Routes: Statistics ======
+
+// Statistics page: charts of completed, overdue and open tasks (see GET /api/stats)
+app.get("/stats", isLoggedIn, async (req, res) => {
+  try {
+    const projects = await Project.find({ "members.userId": req.user.id }).sort({ name: 1 });
+    const stats = await buildTaskStats(req.user.id, req.query);
+    res.render("stats", {
+      stats: stats.error ? null : stats,
+      query: {
+        from: req.query.from || "",
+        to: req.query.to || "",
+        projectId: req.query.projectId || ""
+      },
+      projects,
+      error: stats.error || null
     });
+  } catch (err) {
+    console.error("Statistics page error:", err);
+    res.status(500).send("Error loading statistics");
+  }
+});
 
-    await Promise.all(updatePromises);
-    res.json({ message: "Tasks reordered successfully" });
+// ====== RESTful API Endpoint for Statistics ======
+
+// GET /api/stats?from=&to=&projectId= - task statistics (defaults to the last 30 days of personal tasks)
+app.get("/api/stats", isLoggedIn, async (req, res) => {
+  try {
+    const stats = await buildTaskStats(req.user.id, req.query);
+    if (stats.error) {
+      return res.status(stats.status).json({ error: stats.error });
+    }
+    res.json(stats);
   } catch (err) {
-    console.error("API reorder tasks error:", err);
-    res.status(500).json({ error: "Failed to reorder tasks" });
+    console.error("API statistics error:", err);
+    res.status(500).json({ error: "Failed to build statistics" });
   }
 });
 
-// POST /api/tasks - create a new task (public API)
-app.post("/api/tasks", async (req, res) => {
-  const { title, description, priority, deadline } = req.body;
+// ====== Deadline Reminders ======
+// A background job checks pending tasks with deadlines every few minutes and emails the
+// responsible user (the assignee, or the creator of an unassigned task) according to their
+// reminder settings. Every email sent is recorded as a Reminder, so nothing is sent twice.
+
+const REMINDER_INTERVAL_MINUTES = parseInt(process.env.REMINDER_INTERVAL_MINUTES || "5", 10);
+
+// Lead times offered on the reminder settings page, in minutes
+const REMINDER_LEAD_CHOICES = [
+  { minutes: 15, label: "15 minutes before" },
+  { minutes: 60, label: "1 hour before" },
+  { minutes: 180, label: "3 hours before" },
+  { minutes: 1440, label: "1 day before" },
+  { minutes: 2880, label: "2 days before" },
+  { minutes: 10080, label: "1 week before" }
+];
+
+function describeTaskForEmail(task) {
+  let text = `- ${task.title} (priority: ${task.priority}, due ${task.deadline.toISOString().slice(0, 10)})`;
+  if (task.description) {
+    text += `\n  ${task.description}`;
+  }
+  return text;
+}
+
+// Record the reminder, then send it. The unique key makes the insert fail when the reminder
+// was already sent; if sending fails the record is removed so the next run retries.
+async function sendReminderOnce(record, mail) {
   try {
-    const taskData = {
-      title: (title || "Untitled Task").toString(),
-      description: description ? description.toString() : "",
-      priority: priority ? priority.toString() : "medium",
-      deadline: deadline ? new Date(deadline) : undefined
-    };
-    
-    // Set userId if user is authenticated, otherwise leave it undefined
-    if (req.user && req.user.id) {
-      taskData.userId = req.user.id;
+    await Reminder.create({ ...record, subject: mail.subject });
+  } catch (err) {
+    if (err.code === 11000) {
+      return false;
     }
-    
-    const task = await Task.create(taskData);
-    res.status(201).json(task);
+    throw err;
+  }
+
+  try {
+    await sendMail(mail);
+    return true;
   } catch (err) {
-    console.error("API create task error:", err);
-    res.status(500).json({ error: "Failed to create task" });
+    await Reminder.deleteOne({ key: record.key });
+    throw err;
+  }
+}
+
+async function sendUserReminders(user, now) {
+  const settings = user.reminderSettings;
+  const tasks = await Task.find({
+    status: "pending",
+    deadline: { $ne: null },
+    $or: [{ assigneeId: user._id }, { userId: user._id, assigneeId: null }]
+  }).sort({ deadline: 1 });
+
+  for (const task of tasks) {
+    const deadlineKey = task.deadline.toISOString();
+    const msUntilDeadline = task.deadline.getTime() - now.getTime();
+
+    if (msUntilDeadline <= 0) {
+      if (settings.overdue) {
+        await sendReminderOnce(
+          { key: `overdue:${task._id}:${deadlineKey}`, userId: user._id, taskId: task._id, kind: "overdue", deadline: task.deadline },
+          {
+            to: user.email,
+            subject: `Overdue: ${task.title}`,
+            text: `This task is past its deadline:\n\n${describeTaskForEmail(task)}\n\nOpen your dashboard: ${APP_URL}/dashboard`
+          }
+        );
+      }
+      continue;
+    }
+
+    // Only the shortest lead time already reached is sent, so a task created close to its
+    // deadline (or missed while the server was down) gets one email rather than several
+    const leadMinutes = settings.leadTimes
+      .filter((minutes) => msUntilDeadline <= minutes * 60 * 1000)
+      .sort((a, b) => a - b)[0];
+    if (leadMinutes) {
+      await sendReminderOnce(
+        {
+          key: `upcoming:${task._id}:${deadlineKey}:${leadMinutes}`,
+          userId: user._id,
+          taskId: task._id,
+          kind: "upcoming",
+          leadMinutes,
+          deadline: task.deadline
+        },
+        {
+          to: user.email,
+          subject: `Due soon: ${task.title}`,
+          text: `This task is due soon:\n\n${describeTaskForEmail(task)}\n\nOpen your dashboard: ${APP_URL}/dashboard`
+        }
+      );
+    }
+  }
+
+  // The digest hour and the day it covers are in the time zone on the user's profile
+  const localNow = new Date(now.getTime() - timezoneOffsetOf(user.timezone || "UTC", now) * 60 * 1000);
+  if (settings.dailyDigest && localNow.getUTCHours() >= settings.digestHour) {
+    const weekAhead = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+    const overdue = tasks.filter((task) => task.deadline <= now);
+    const upcoming = tasks.filter((task) => task.deadline > now && task.deadline <= weekAhead);
+    if (overdue.length > 0 || upcoming.length > 0) {
+      let text = "";
+      if (overdue.length > 0) {
+        text += `Overdue (${overdue.length}):\n${overdue.map(describeTaskForEmail).join("\n")}\n\n`;
+      }
+      if (upcoming.length > 0) {
+        text += `Due in the next 7 days (${upcoming.length}):\n${upcoming.map(describeTaskForEmail).join("\n")}\n\n`;
+      }
+      text += `Open your dashboard: ${APP_URL}/dashboard`;
+
+      const day = localNow.toISOString().slice(0, 10);
+      await sendReminderOnce(
+        { key: `digest:${user._id}:${day}`, userId: user._id, kind: "digest" },
+        { to: user.email, subject: `Your tasks for ${day}`, text }
+      );
+    }
+  }
+}
+
+let reminderRunInProgress = false;
+
+// One pass of the reminder job over every user with reminders switched on
+async function checkDeadlineReminders() {
+  if (reminderRunInProgress || mongoose.connection.readyState !== 1) {
+    return;
+  }
+  reminderRunInProgress = true;
+
+  try {
+    const now = new Date();
+    const users = await User.find({ "reminderSettings.enabled": true, email: { $nin: [null, ""] } });
+    for (const user of users) {
+      try {
+        await sendUserReminders(user, now);
+      } catch (err) {
+        console.error(`Reminder error for user ${user.username}:`, err);
+      }
+    }
+  } catch (err) {
+    console.error("Reminder job error:", err);
+  } finally {
+    reminderRunInProgress = false;
+  }
+}
+
+// ====== Routes: Reminder Settings ======
+
+app.get("/reminders", isLoggedIn, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const recent = await Reminder.find({ userId: req.user.id }).sort({ createdAt: -1 }).limit(20);
+    const error = req.query.error ? decodeURIComponent(req.query.error) : null;
+    const success = req.query.success ? decodeURIComponent(req.query.success) : null;
+    res.render("reminders", {
+      email: user.email || "",
+      settings: user.reminderSettings,
+      timezone: user.timezone || "UTC",
+      leadChoices: REMINDER_LEAD_CHOICES,
+      recent,
+      error,
+      success
+    });
+  } catch (err) {
+    console.error("Reminder settings page error:", err);
+    res.status(500).send("Error loading reminder settings");
   }
 });
 
-// PUT /api/tasks/:id - update an existing task (public API)
-app.put("/api/tasks/:id", async (req, res) => {
-  const { id } = req.params;
-  const { title, description, priority, deadline, status } = req.body;
+app.post("/reminders", isLoggedIn, async (req, res) => {
+  const enabled = req.body.enabled === "true";
+  const digestHour = parseInt(req.body.digestHour, 10);
+  const leadTimes = [].concat(req.body.leadTimes || [])
+    .map((minutes) => parseInt(minutes, 10))
+    .filter((minutes) => REMINDER_LEAD_CHOICES.some((choice) => choice.minutes === minutes));
 
-  const updateData = {};
-  if (title !== undefined) updateData.title = title.toString();
-  if (description !== undefined) updateData.description = description.toString();
-  if (priority !== undefined) updateData.priority = priority.toString();
-  if (status !== undefined) updateData.status = status.toString();
-  if (deadline !== undefined) updateData.deadline = deadline ? new Date(deadline) : null;
+  if (!Number.isInteger(digestHour) || digestHour < 0 || digestHour > 23) {
+    return res.redirect("/reminders?error=" + encodeURIComponent("Digest hour must be between 0 and 23"));
+  }
 
   try {
-    const task = await Task.findOneAndUpdate(
-      { _id: id },
-      updateData,
-      { new: true, runValidators: false }
+    const user = await User.findById(req.user.id);
+    if (enabled && !user.email) {
+      return res.redirect("/reminders?error=" + encodeURIComponent("Add an email address on your Profile page first"));
+    }
+
+    await User.updateOne(
+      { _id: req.user.id },
+      {
+        reminderSettings: {
+          enabled,
+          leadTimes,
+          overdue: req.body.overdue === "true",
+          dailyDigest: req.body.dailyDigest === "true",
+          digestHour
+        }
+      }
     );
-    if (!task) {
-      return res.status(404).json({ error: "Task not found" });
+    res.redirect("/reminders?success=" + encodeURIComponent("Reminder settings saved"));
+  } catch (err) {
+    console.error("Save reminder settings error:", err);
+    res.redirect("/reminders?error=" + encodeURIComponent("Failed to save settings. Try again later."));
+  }
+});
+
+// Send a test email to check the address and SMTP setup
+app.post("/reminders/test", isLoggedIn, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user.email) {
+      return res.redirect("/reminders?error=" + encodeURIComponent("Add an email address on your Profile page first"));
     }
-    res.json(task);
+    await sendMail({
+      to: user.email,
+      subject: "Smart Task Manager test email",
+      text: `Reminder emails for ${user.username} will be sent to this address.`
+    });
+    res.redirect("/reminders?success=" + encodeURIComponent(`Test email sent to ${user.email}`));
   } catch (err) {
-    console.error("API update task error:", err);
-    res.status(500).json({ error: "Failed to update task" });
+    console.error("Test email error:", err);
+    res.redirect("/reminders?error=" + encodeURIComponent("Failed to send test email. Check the SMTP settings."));
   }
 });
 
-// DELETE /api/tasks/:id - delete a task (public API)
-app.delete("/api/tasks/:id", async (req, res) => {
-  const { id } = req.params;
+// ====== Routes: Webhooks ======
+
+// Load one of the current user's webhooks into req.webhook
+async function loadOwnWebhook(req, res, next) {
+  try {
+    const webhook = mongoose.isValidObjectId(req.params.id)
+      ? await Webhook.findOne({ _id: req.params.id, userId: req.user.id })
+      : null;
+    if (!webhook) {
+      return res.redirect("/webhooks?error=" + encodeURIComponent("Webhook not found"));
+    }
+    req.webhook = webhook;
+    next();
+  } catch (err) {
+    console.error("Load webhook error:", err);
+    res.redirect("/webhooks?error=" + encodeURIComponent("Failed to load webhook"));
+  }
+}
+
+// URL, description and events from the create/edit forms. Returns the fields or { error }.
+async function parseWebhookForm(body) {
+  const url = body.url ? body.url.toString().trim() : "";
+  const urlError = await webhookUrlError(url);
+  if (urlError) {
+    return { error: urlError };
+  }
+  const events = [].concat(body.events || []).filter((event) => Webhook.EVENTS.includes(event));
+  if (events.length === 0) {
+    return { error: "Choose at least one event" };
+  }
+  const description = body.description ? body.description.toString().trim().slice(0, 200) : "";
+  return { url, description, events };
+}
+
+// Webhook settings page: webhooks, their secrets and the delivery log (optionally for one webhook)
+app.get("/webhooks", isLoggedIn, async (req, res) => {
   try {
-    const task = await Task.findOneAndDelete({
-      _id: id
+    const webhooks = await Webhook.find({ userId: req.user.id }).sort({ createdAt: 1 });
+    const selected = webhooks.find((webhook) => webhook._id.toString() === req.query.webhookId) || null;
+    const deliveries = await WebhookDelivery.find(selected ? { webhookId: selected._id } : { userId: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+    const error = req.query.error ? decodeURIComponent(req.query.error) : null;
+    const success = req.query.success ? decodeURIComponent(req.query.success) : null;
+    res.render("webhooks", {
+      webhooks,
+      selected,
+      deliveries,
+      eventLabels: WEBHOOK_EVENT_LABELS,
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+      error,
+      success
     });
-    if (!task) {
-      return res.status(404).json({ error: "Task not found" });
+  } catch (err) {
+    console.error("Webhook settings page error:", err);
+    res.status(500).send("Error loading webhooks");
+  }
+});
+
+// Register a new webhook with a fresh secret
+app.post("/webhooks", isLoggedIn, async (req, res) => {
+  const fields = await parseWebhookForm(req.body);
+  if (fields.error) {
+    return res.redirect("/webhooks?error=" + encodeURIComponent(fields.error));
+  }
+
+  try {
+    const count = await Webhook.countDocuments({ userId: req.user.id });
+    if (count >= WEBHOOK_MAX_PER_USER) {
+      return res.redirect("/webhooks?error=" + encodeURIComponent(`You can have up to ${WEBHOOK_MAX_PER_USER} webhooks`));
     }
-    res.json({ message: "Task deleted" });
+    await Webhook.create({ ...fields, userId: req.user.id, secret: generateWebhookSecret() });
+    res.redirect("/webhooks?success=" + encodeURIComponent("Webhook added. Use its secret to check the X-Webhook-Signature header."));
   } catch (err) {
-    console.error("API delete task error:", err);
-    res.status(500).json({ error: "Failed to delete task" });
+    console.error("Create webhook error:", err);
+    res.redirect("/webhooks?error=" + encodeURIComponent("Failed to add webhook. Try again later."));
+  }
+});
+
+// Change a webhook's URL, description, events or whether it is active
+app.post("/webhooks/:id", isLoggedIn, loadOwnWebhook, async (req, res) => {
+  const fields = await parseWebhookForm(req.body);
+  if (fields.error) {
+    return res.redirect("/webhooks?error=" + encodeURIComponent(fields.error));
+  }
+
+  try {
+    req.webhook.set({ ...fields, active: req.body.active === "true" });
+    await req.webhook.save();
+    res.redirect("/webhooks?success=" + encodeURIComponent("Webhook saved"));
+  } catch (err) {
+    console.error("Update webhook error:", err);
+    res.redirect("/webhooks?error=" + encodeURIComponent("Failed to save webhook. Try again later."));
+  }
+});
+
+// Replace the secret; deliveries are signed with the new one from now on
+app.post("/webhooks/:id/secret", isLoggedIn, loadOwnWebhook, async (req, res) => {
+  try {
+    req.webhook.secret = generateWebhookSecret();
+    await req.webhook.save();
+    res.redirect("/webhooks?success=" + encodeURIComponent("New secret created. Update your receiver to use it."));
+  } catch (err) {
+    console.error("Regenerate webhook secret error:", err);
+    res.redirect("/webhooks?error=" + encodeURIComponent("Failed to create a new secret. Try again later."));
+  }
+});
+
+// Send a "ping" event to check the receiver
+app.post("/webhooks/:id/test", isLoggedIn, loadOwnWebhook, async (req, res) => {
+  try {
+    await createWebhookDeliveries([
+      {
+        webhookId: req.webhook._id,
+        userId: req.user.id,
+        event: "ping",
+        data: { message: "Test delivery from Smart Task Manager", webhookId: req.webhook._id }
+      }
+    ]);
+    res.redirect(`/webhooks?webhookId=${req.webhook._id}&success=` + encodeURIComponent("Test event sent. Reload the page to see the result."));
+  } catch (err) {
+    console.error("Test webhook error:", err);
+    res.redirect("/webhooks?error=" + encodeURIComponent("Failed to send test event. Try again later."));
+  }
+});
+
+// Delete a webhook together with its delivery log
+app.post("/webhooks/:id/delete", isLoggedIn, loadOwnWebhook, async (req, res) => {
+  try {
+    await WebhookDelivery.deleteMany({ webhookId: req.webhook._id });
+    await req.webhook.deleteOne();
+    res.redirect("/webhooks?success=" + encodeURIComponent("Webhook deleted"));
+  } catch (err) {
+    console.error("Delete webhook error:", err);
+    res.redirect("/webhooks?error=" + encodeURIComponent("Failed to delete webhook. Try again later."));
+  }
+});
+
+// Try a failed delivery again, with a fresh set of attempts
+app.post("/webhooks/deliveries/:deliveryId/retry", isLoggedIn, async (req, res) => {
+  try {
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findOneAndUpdate(
+          { _id: req.params.deliveryId, userId: req.user.id, status: "failed" },
+          { status: "pending", attempts: 0, nextAttemptAt: new Date() },
+          { new: true }
+        )
+      : null;
+    if (!delivery) {
+      return res.redirect("/webhooks?error=" + encodeURIComponent("Only failed deliveries can be retried"));
+    }
+    attemptWebhookDelivery(delivery._id).catch((err) => console.error("Webhook delivery error:", err));
+    res.redirect(`/webhooks?webhookId=${delivery.webhookId}&success=` + encodeURIComponent("Delivery queued again"));
+  } catch (err) {
+    console.error("Retry webhook delivery error:", err);
+    res.redirect("/webhooks?error=" + encodeURIComponent("Failed to retry delivery. Try again later."));
   }
 });
 
@@ -551,4 +6890,16 @@ app.delete("/api/tasks/:id", async (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Smart Task Manager server listening on http://localhost:${PORT}`);
+
+  // REMINDER_INTERVAL_MINUTES=0 turns the reminder job off
+  if (REMINDER_INTERVAL_MINUTES > 0) {
+    setInterval(checkDeadlineReminders, REMINDER_INTERVAL_MINUTES * 60 * 1000);
+    console.log(`Deadline reminders checked every ${REMINDER_INTERVAL_MINUTES} minute(s)`);
+  }
+
+  // Trashed tasks past the retention period are purged once an hour
+  setInterval(purgeExpiredTrash, 60 * 60 * 1000);
+
+  // Webhook deliveries are retried, and overdue tasks announced, every 30 seconds
+  setInterval(runWebhookJob, WEBHOOK_JOB_INTERVAL_MS);
 });